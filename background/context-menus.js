@@ -0,0 +1,206 @@
+/**
+ * Context Menus
+ * Right-click entries for links and pages: visited status, manual read/unread
+ * marks, ignoring one of the link's query parameters, disabling the site and
+ * copying the normalized URL.
+ */
+
+const ContextMenus = (() => {
+  const MARK_READ = 'vlh-mark-read';
+  const MARK_UNREAD = 'vlh-mark-unread';
+  const CHECK_VISITED = 'vlh-check-visited';
+  const IGNORE_PARAM = 'vlh-ignore-param';
+  const IGNORE_PARAM_PREFIX = `${IGNORE_PARAM}:`;
+  const NO_PARAMS = `${IGNORE_PARAM}-none`;
+  const DISABLE_SITE = 'vlh-disable-site';
+  const COPY_NORMALIZED = 'vlh-copy-normalized';
+  const MAX_PARAM_ITEMS = 20;
+
+  // Parameter children currently under "Ignore parameter…", kept in session
+  // storage so a restarted worker can still remove them
+  const PARAM_KEYS_KEY = 'contextMenuParamKeys';
+
+  // Link the "Ignore parameter…" submenu was last requested for, its keys,
+  // and the keys the submenu currently shows
+  let paramItemsUrl = null;
+  let latestKeys = null;
+  let shownKeys = null;
+  // Menu updates run one after another so ids never collide
+  let buildChain = Promise.resolve();
+
+  /**
+   * Promise wrapper around chrome.contextMenus.create
+   * @param {Object} properties
+   * @returns {Promise<void>}
+   */
+  function createItem(properties) {
+    return new Promise((resolve) => {
+      chrome.contextMenus.create(properties, () => {
+        if (chrome.runtime.lastError) {
+          console.error('[Visited Link] Error creating menu item:', chrome.runtime.lastError.message);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Promise wrapper around chrome.contextMenus.remove (missing items are ignored)
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  function removeItem(id) {
+    return new Promise((resolve) => {
+      chrome.contextMenus.remove(id, () => {
+        // Reading lastError keeps a missing item from being reported as unchecked
+        void chrome.runtime.lastError;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Queue a menu update behind the ones already running
+   * @param {Function} update - async () => void
+   * @returns {Promise<void>}
+   */
+  function enqueue(update) {
+    buildChain = buildChain.then(update).catch((error) => {
+      console.error('[Visited Link] Error updating context menu:', error);
+    });
+    return buildChain;
+  }
+
+  /**
+   * Replace all entries with the static ones (no parameter children yet)
+   */
+  async function buildItems() {
+    await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+    await chrome.storage.session.remove(PARAM_KEYS_KEY);
+
+    await createItem({ id: CHECK_VISITED, title: 'Is this visited?', contexts: ['link'] });
+    await createItem({ id: MARK_READ, title: 'Mark link as read', contexts: ['link'] });
+    await createItem({ id: MARK_UNREAD, title: 'Mark link as unread', contexts: ['link'] });
+    await createItem({ id: IGNORE_PARAM, title: 'Ignore parameter…', contexts: ['link'] });
+    await createItem({ id: NO_PARAMS, parentId: IGNORE_PARAM, title: '(no parameters)', enabled: false, contexts: ['link'] });
+    await createItem({ id: COPY_NORMALIZED, title: 'Copy normalized URL', contexts: ['link'] });
+    await createItem({ id: DISABLE_SITE, title: 'Disable highlighting on this site', contexts: ['page', 'link'] });
+  }
+
+  /**
+   * Replace only the "Ignore parameter…" children, one per query key
+   * @param {string[]} keys
+   */
+  async function updateParamItems(keys) {
+    const stored = await chrome.storage.session.get({ [PARAM_KEYS_KEY]: [] });
+    for (const key of stored[PARAM_KEYS_KEY]) {
+      await removeItem(IGNORE_PARAM_PREFIX + key);
+    }
+    for (const key of keys) {
+      await createItem({ id: IGNORE_PARAM_PREFIX + key, parentId: IGNORE_PARAM, title: key, contexts: ['link'] });
+    }
+    await chrome.storage.session.set({ [PARAM_KEYS_KEY]: keys });
+    await new Promise(resolve => chrome.contextMenus.update(NO_PARAMS, { visible: keys.length === 0 }, () => {
+      void chrome.runtime.lastError;
+      resolve();
+    }));
+  }
+
+  /**
+   * (Re)create the menu entries
+   * @returns {Promise<void>}
+   */
+  function create() {
+    paramItemsUrl = null;
+    latestKeys = null;
+    return enqueue(() => {
+      shownKeys = null;
+      return buildItems();
+    });
+  }
+
+  /**
+   * Get the distinct query keys of a link's destination
+   * @param {string} url
+   * @param {Object} config - Used to unwrap redirect wrapper links first
+   * @returns {string[]}
+   */
+  function getQueryKeys(url, config) {
+    try {
+      const target = UrlNormalizer.unwrapUrl(url, UrlNormalizer.getRedirectWrappers(config));
+      return [...new Set(new URL(target).searchParams.keys())].filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Rebuild the "Ignore parameter…" submenu for the link that may be
+   * right-clicked next (reported by the content script on hover and focus,
+   * before the menu opens). Queued updates show the latest link's keys, so
+   * links passed over while one runs are skipped.
+   * @param {string} url
+   * @param {Object} config
+   */
+  async function setLinkUrl(url, config) {
+    if (url === paramItemsUrl) return;
+    paramItemsUrl = url;
+    latestKeys = getQueryKeys(url, config).slice(0, MAX_PARAM_ITEMS);
+
+    await enqueue(() => {
+      if (!latestKeys || latestKeys === shownKeys) return;
+      shownKeys = latestKeys;
+      return updateParamItems(shownKeys);
+    });
+  }
+
+  /**
+   * Dispatch menu clicks to the service worker's actions
+   * @param {Function} getConfig - async () => config
+   * @param {Object} actions
+   * @param {Function} actions.checkVisited - (tab, linkUrl) => Promise
+   * @param {Function} actions.markRead - (linkUrl, read) => Promise
+   * @param {Function} actions.ignoreParam - (key) => Promise
+   * @param {Function} actions.disableSite - (pageUrl) => Promise
+   * @param {Function} actions.copyNormalized - (tab, linkUrl) => Promise
+   */
+  function start(getConfig, actions) {
+    chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+      const id = String(info.menuItemId);
+
+      try {
+        if (id === DISABLE_SITE) {
+          await actions.disableSite(info.pageUrl);
+          return;
+        }
+        if (!info.linkUrl) return;
+
+        if (id === CHECK_VISITED) {
+          await actions.checkVisited(tab, info.linkUrl);
+        } else if (id === MARK_READ || id === MARK_UNREAD) {
+          await actions.markRead(info.linkUrl, id === MARK_READ);
+        } else if (id === COPY_NORMALIZED) {
+          await actions.copyNormalized(tab, info.linkUrl);
+        } else if (id.startsWith(IGNORE_PARAM_PREFIX)) {
+          const key = id.slice(IGNORE_PARAM_PREFIX.length);
+          // The submenu may still be the one built for a previously right-clicked link
+          if (!getQueryKeys(info.linkUrl, await getConfig()).includes(key)) return;
+          await actions.ignoreParam(key);
+        }
+      } catch (error) {
+        console.error('[Visited Link] Error handling context menu:', error);
+      }
+    });
+  }
+
+  return {
+    create,
+    setLinkUrl,
+    start
+  };
+})();
+
+// Make available in the service worker global scope
+if (typeof globalThis !== 'undefined') {
+  globalThis.ContextMenus = ContextMenus;
+}
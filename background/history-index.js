@@ -0,0 +1,280 @@
+/**
+ * History Index
+ * Persistent IndexedDB index of normalized history URLs.
+ * Built once from chrome.history, kept current by history events and rebuilt
+ * whenever the normalization settings (its "signature") change.
+ */
+
+const HistoryIndex = (() => {
+  const DB_NAME = 'vlh-history-index';
+  const DB_VERSION = 1;
+  const ENTRY_STORE = 'entries';
+  const META_STORE = 'meta';
+  const KEY_INDEX = 'key';
+  const SIGNATURE_KEY = 'signature';
+  const PAGE_SIZE = 10000;
+
+  let dbPromise = null;
+  let readyPromise = null;
+  let readySignature = null;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request
+   * @returns {Promise<*>}
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve once a transaction has committed
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Open (and upgrade if needed) the index database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'url' });
+          entries.createIndex(KEY_INDEX, 'key', { unique: false });
+          db.createObjectStore(META_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Promise wrapper around chrome.history.search
+   * @param {Object} query
+   * @returns {Promise<chrome.history.HistoryItem[]>}
+   */
+  function searchHistory(query) {
+    return new Promise((resolve) => {
+      chrome.history.search(query, (results) => resolve(results || []));
+    });
+  }
+
+  /**
+   * Build an index entry from a history item
+   * @param {chrome.history.HistoryItem} item
+   * @param {Function} normalize - (url) => normalized url
+   * @returns {Object|null} Entry, or null for non-http(s) URLs
+   */
+  function toEntry(item, normalize) {
+    if (!item?.url || !UrlNormalizer.isValidHttpUrl(item.url)) return null;
+    return {
+      url: item.url,
+      key: normalize(item.url),
+      lastVisitTime: item.lastVisitTime || 0,
+      visitCount: item.visitCount || 0
+    };
+  }
+
+  /**
+   * Walk the whole history newest-first, one page at a time.
+   * chrome.history.search caps each call, so page backwards by lastVisitTime.
+   * The end time is exclusive and lastVisitTime may lie after it (a URL
+   * revisited later), so the next page repeats the boundary millisecond and
+   * items can show up on more than one page.
+   * @param {Function} onPage - async (items) => void
+   */
+  async function forEachHistoryPage(onPage) {
+    let endTime = Date.now();
+
+    while (true) {
+      const items = await searchHistory({
+        text: '',
+        startTime: 0,
+        endTime,
+        maxResults: PAGE_SIZE
+      });
+      if (items.length === 0) break;
+
+      await onPage(items);
+      if (items.length < PAGE_SIZE) break;
+
+      let oldest = endTime;
+      for (const item of items) {
+        if (item.lastVisitTime < oldest) oldest = item.lastVisitTime;
+      }
+      // Always move backwards, even when no item's last visit is earlier
+      endTime = oldest + 1 < endTime ? oldest + 1 : endTime - 1;
+      if (endTime <= 0) break;
+    }
+  }
+
+  /**
+   * Drop all entries and re-index the full history
+   * @param {Function} normalize
+   * @param {string} signature
+   */
+  async function rebuild(normalize, signature) {
+    const db = await openDb();
+
+    // Invalidate first so an interrupted rebuild is redone next time
+    const resetTx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    resetTx.objectStore(ENTRY_STORE).clear();
+    resetTx.objectStore(META_STORE).delete(SIGNATURE_KEY);
+    await transactionDone(resetTx);
+
+    // Pages overlap at their boundaries; write each URL once
+    const seen = new Set();
+    await forEachHistoryPage(async (items) => {
+      const tx = db.transaction(ENTRY_STORE, 'readwrite');
+      const store = tx.objectStore(ENTRY_STORE);
+      for (const item of items) {
+        if (seen.has(item.url)) continue;
+        seen.add(item.url);
+        const entry = toEntry(item, normalize);
+        if (entry) store.put(entry);
+      }
+      await transactionDone(tx);
+    });
+
+    const metaTx = db.transaction(META_STORE, 'readwrite');
+    metaTx.objectStore(META_STORE).put(signature, SIGNATURE_KEY);
+    await transactionDone(metaTx);
+  }
+
+  /**
+   * Rebuild the index if it was built with a different signature
+   * @param {Function} normalize
+   * @param {string} signature
+   */
+  async function syncSignature(normalize, signature) {
+    const db = await openDb();
+    const tx = db.transaction(META_STORE, 'readonly');
+    const stored = await promisifyRequest(tx.objectStore(META_STORE).get(SIGNATURE_KEY));
+    if (stored !== signature) {
+      await rebuild(normalize, signature);
+    }
+  }
+
+  /**
+   * Make sure the index matches the given normalization settings.
+   * Concurrent callers share one build; a new signature queues a rebuild.
+   * @param {Function} normalize - (url) => normalized url
+   * @param {string} signature - Stable description of the normalization settings
+   * @returns {Promise<void>}
+   */
+  function ensure(normalize, signature) {
+    if (!readyPromise || readySignature !== signature) {
+      const previous = readyPromise ? readyPromise.catch(() => {}) : Promise.resolve();
+      const promise = previous.then(() => syncSignature(normalize, signature));
+      readySignature = signature;
+      readyPromise = promise;
+      promise.catch(() => {
+        // Let the next caller retry
+        if (readyPromise === promise) {
+          readyPromise = null;
+          readySignature = null;
+        }
+      });
+    }
+    return readyPromise;
+  }
+
+  /**
+   * Look up normalized keys, aggregating every history entry that maps to
+   * each key (latest visit time, total visit count, the entries' URLs)
+   * @param {Iterable<string>} keys - Normalized URLs
+   * @returns {Promise<Map<string, {lastVisitTime: number, visitCount: number, urls: string[]}>>} Only keys present in the index
+   */
+  async function lookup(keys) {
+    const db = await openDb();
+    const tx = db.transaction(ENTRY_STORE, 'readonly');
+    const index = tx.objectStore(ENTRY_STORE).index(KEY_INDEX);
+    const found = new Map();
+
+    await Promise.all(Array.from(keys, key =>
+      promisifyRequest(index.getAll(key)).then((entries) => {
+        if (entries.length === 0) return;
+        const visit = { lastVisitTime: 0, visitCount: 0, urls: [] };
+        for (const entry of entries) {
+          visit.lastVisitTime = Math.max(visit.lastVisitTime, entry.lastVisitTime);
+          visit.visitCount += entry.visitCount;
+          visit.urls.push(entry.url);
+        }
+        found.set(key, visit);
+      })
+    ));
+
+    return found;
+  }
+
+  /**
+   * Add or refresh a single history item (from chrome.history.onVisited)
+   * @param {chrome.history.HistoryItem} item
+   * @param {Function} normalize
+   */
+  async function addItem(item, normalize) {
+    const entry = toEntry(item, normalize);
+    if (!entry) return;
+
+    const db = await openDb();
+    const tx = db.transaction(ENTRY_STORE, 'readwrite');
+    tx.objectStore(ENTRY_STORE).put(entry);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Remove entries for URLs deleted from history
+   * @param {string[]} urls - Original (non-normalized) history URLs
+   */
+  async function removeUrls(urls) {
+    const db = await openDb();
+    const tx = db.transaction(ENTRY_STORE, 'readwrite');
+    const store = tx.objectStore(ENTRY_STORE);
+    for (const url of urls) {
+      store.delete(url);
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * Remove all entries (history was cleared); the signature stays valid
+   */
+  async function clear() {
+    const db = await openDb();
+    const tx = db.transaction(ENTRY_STORE, 'readwrite');
+    tx.objectStore(ENTRY_STORE).clear();
+    await transactionDone(tx);
+  }
+
+  return {
+    ensure,
+    lookup,
+    addItem,
+    removeUrls,
+    clear
+  };
+})();
+
+// Make available in the service worker global scope
+if (typeof globalThis !== 'undefined') {
+  globalThis.HistoryIndex = HistoryIndex;
+}
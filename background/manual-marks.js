@@ -0,0 +1,96 @@
+/**
+ * Manual Marks
+ * Locally stored read/unread overrides keyed by normalized URL, for articles
+ * read elsewhere (another URL or device) or links opened by accident.
+ * A mark wins over history until the page is visited again after it.
+ */
+
+const ManualMarks = (() => {
+  const STORAGE_KEY = 'manualMarks';
+  const MAX_ENTRIES = 20000;
+
+  // Persisted map: normalized URL -> { read: boolean, time }
+  let marksPromise = null;
+
+  /**
+   * Load marks from storage (once per worker lifetime)
+   * @returns {Promise<Object<string, {read: boolean, time: number}>>}
+   */
+  function loadMarks() {
+    if (!marksPromise) {
+      marksPromise = new Promise((resolve) => {
+        chrome.storage.local.get({ [STORAGE_KEY]: {} }, (result) => {
+          resolve(result[STORAGE_KEY] || {});
+        });
+      });
+    }
+    return marksPromise;
+  }
+
+  /**
+   * Look up marks for normalized URLs
+   * @param {Iterable<string>} keys
+   * @returns {Promise<Map<string, {read: boolean, time: number}>>} Only marked keys
+   */
+  async function get(keys) {
+    const marks = await loadMarks();
+    const found = new Map();
+    for (const key of keys) {
+      if (marks[key]) found.set(key, marks[key]);
+    }
+    return found;
+  }
+
+  /**
+   * Mark normalized URLs read or unread, evicting the oldest marks beyond MAX_ENTRIES
+   * @param {Iterable<string>} keys
+   * @param {boolean} read
+   */
+  async function set(keys, read) {
+    const marks = await loadMarks();
+    const time = Date.now();
+    for (const key of keys) {
+      marks[key] = { read, time };
+    }
+
+    const all = Object.keys(marks);
+    if (all.length > MAX_ENTRIES) {
+      all.sort((a, b) => marks[a].time - marks[b].time);
+      for (const key of all.slice(0, all.length - MAX_ENTRIES)) {
+        delete marks[key];
+      }
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: marks });
+  }
+
+  /**
+   * Combine a history lookup result with a manual mark
+   * @param {{lastVisitTime: number, visitCount: number}|undefined} visit - From the history index
+   * @param {{read: boolean, time: number}|undefined} mark
+   * @returns {Object|null} Visit details (with manual: true when the mark decided), or null
+   */
+  function merge(visit, mark) {
+    // A visit after the mark supersedes it
+    if (!mark || (visit && visit.lastVisitTime > mark.time)) {
+      return visit || null;
+    }
+    if (!mark.read) return null;
+    return {
+      lastVisitTime: Math.max(visit?.lastVisitTime || 0, mark.time),
+      visitCount: visit?.visitCount || 0,
+      manual: true
+    };
+  }
+
+  return {
+    get,
+    set,
+    merge
+  };
+})();
+
+// Make available in the service worker global scope
+if (typeof globalThis !== 'undefined') {
+  globalThis.ManualMarks = ManualMarks;
+}
@@ -0,0 +1,99 @@
+/**
+ * Reading Progress
+ * Locally stored reading progress keyed by normalized URL: the deepest
+ * scroll position reached (percent of the page) and the total time the page
+ * was visible, as reported by the content script's reading tracker.
+ */
+
+const ReadingProgress = (() => {
+  const STORAGE_KEY = 'readingProgress';
+  const MAX_ENTRIES = 20000;
+  // Reports arrive every few seconds per open tab; batch the writes
+  const SAVE_DELAY = 2000;
+
+  // Persisted map: normalized URL -> { depth, seconds, time }
+  let progressPromise = null;
+  let saveTimer = null;
+
+  /**
+   * Load progress from storage (once per worker lifetime)
+   * @returns {Promise<Object<string, {depth: number, seconds: number, time: number}>>}
+   */
+  function loadProgress() {
+    if (!progressPromise) {
+      progressPromise = new Promise((resolve) => {
+        chrome.storage.local.get({ [STORAGE_KEY]: {} }, (result) => {
+          resolve(result[STORAGE_KEY] || {});
+        });
+      });
+    }
+    return progressPromise;
+  }
+
+  /**
+   * Look up progress for normalized URLs
+   * @param {Iterable<string>} keys
+   * @returns {Promise<Map<string, {depth: number, seconds: number}>>} Only keys with recorded progress
+   */
+  async function get(keys) {
+    const progress = await loadProgress();
+    const found = new Map();
+    for (const key of keys) {
+      const entry = progress[key];
+      if (entry) found.set(key, { depth: entry.depth, seconds: entry.seconds });
+    }
+    return found;
+  }
+
+  /**
+   * Write progress to storage, evicting the least recently read pages beyond MAX_ENTRIES
+   */
+  async function persist() {
+    saveTimer = null;
+    const progress = await loadProgress();
+
+    const all = Object.keys(progress);
+    if (all.length > MAX_ENTRIES) {
+      all.sort((a, b) => progress[a].time - progress[b].time);
+      for (const key of all.slice(0, all.length - MAX_ENTRIES)) {
+        delete progress[key];
+      }
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: progress });
+  }
+
+  /**
+   * Add a report for a page: keep the deepest scroll position, add up the time
+   * @param {string} key - Normalized URL of the page
+   * @param {number} depth - Deepest scroll position so far, 0-100
+   * @param {number} seconds - Visible time since the previous report
+   */
+  async function record(key, depth, seconds) {
+    const progress = await loadProgress();
+    const entry = progress[key] || { depth: 0, seconds: 0 };
+    progress[key] = {
+      depth: Math.max(entry.depth, Math.min(100, Math.round(depth) || 0)),
+      seconds: entry.seconds + Math.max(0, Math.round(seconds) || 0),
+      time: Date.now()
+    };
+
+    if (!saveTimer) {
+      saveTimer = setTimeout(() => {
+        persist().catch((error) => {
+          console.error('[Visited Link] Error saving reading progress:', error);
+        });
+      }, SAVE_DELAY);
+    }
+  }
+
+  return {
+    get,
+    record
+  };
+})();
+
+// Make available in the service worker global scope
+if (typeof globalThis !== 'undefined') {
+  globalThis.ReadingProgress = ReadingProgress;
+}
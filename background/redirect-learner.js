@@ -0,0 +1,212 @@
+/**
+ * Redirect Learner
+ * Records short-link → final-URL pairs (t.co/…, bit.ly/…) observed during
+ * top-frame navigations, so links to a short URL count as visited once its
+ * destination has been visited. Only cross-host redirects are learned, and
+ * destinations many links redirect to (login walls, consent pages) are not.
+ */
+
+const RedirectLearner = (() => {
+  const STORAGE_KEY = 'learnedRedirects';
+  const SINKS_KEY = 'redirectSinks';
+  const MAX_SINKS = 200;
+  const MAX_ENTRIES = 5000;
+  const REDIRECT_QUALIFIERS = ['server_redirect', 'client_redirect'];
+  // Sources redirecting to one page (ignoring its query) that make it a sink
+  const SINK_SOURCES = 3;
+
+  // Persisted map: source URL -> { to, time }
+  let redirectsPromise = null;
+  // Persisted list of sink pages (see getPage), never learned as destinations
+  let sinksPromise = null;
+
+  // Per-tab navigation state (lost if the worker restarts mid-navigation)
+  const pendingStart = new Map(); // tabId -> URL the navigation started with
+  const lastCommitted = new Map(); // tabId -> last committed top-frame URL
+
+  /**
+   * Strip the fragment so lookups match links regardless of #hash
+   * @param {string} url
+   * @returns {string}
+   */
+  function toKey(url) {
+    const hashIndex = url.indexOf('#');
+    return hashIndex === -1 ? url : url.slice(0, hashIndex);
+  }
+
+  /**
+   * Host name without a leading "www."
+   * @param {string} url
+   * @returns {string}
+   */
+  function getHost(url) {
+    return (UrlNormalizer.extractDomain(url) || '').replace(/^www\./, '');
+  }
+
+  /**
+   * Page a URL points to, ignoring query and fragment (login walls carry
+   * a different return-to parameter per source)
+   * @param {string} url
+   * @returns {string}
+   */
+  function getPage(url) {
+    try {
+      const { origin, pathname } = new URL(url);
+      return origin + pathname;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Load learned redirects from storage (once per worker lifetime)
+   * @returns {Promise<Object<string, {to: string, time: number}>>}
+   */
+  function loadRedirects() {
+    if (!redirectsPromise) {
+      redirectsPromise = new Promise((resolve) => {
+        chrome.storage.local.get({ [STORAGE_KEY]: {} }, (result) => {
+          resolve(result[STORAGE_KEY] || {});
+        });
+      });
+    }
+    return redirectsPromise;
+  }
+
+  /**
+   * Load known sink pages from storage (once per worker lifetime)
+   * @returns {Promise<string[]>}
+   */
+  function loadSinks() {
+    if (!sinksPromise) {
+      sinksPromise = new Promise((resolve) => {
+        chrome.storage.local.get({ [SINKS_KEY]: [] }, (result) => {
+          resolve(result[SINKS_KEY] || []);
+        });
+      });
+    }
+    return sinksPromise;
+  }
+
+  /**
+   * Persist a learned pair, evicting the oldest entries beyond MAX_ENTRIES.
+   * Same-host redirects (locale, trailing slash, login on the same site) are
+   * skipped; a destination reached from SINK_SOURCES sources becomes a sink:
+   * its pairs are dropped and it is never learned again.
+   * @param {string} from - Source URL (e.g. the short link)
+   * @param {string} to - Final URL
+   */
+  async function record(from, to) {
+    const fromKey = toKey(from);
+    const toUrl = toKey(to);
+    if (fromKey === toUrl) return;
+    if (!UrlNormalizer.isValidHttpUrl(fromKey) || !UrlNormalizer.isValidHttpUrl(toUrl)) return;
+    if (getHost(fromKey) === getHost(toUrl)) return;
+
+    const [redirects, sinks] = await Promise.all([loadRedirects(), loadSinks()]);
+    if (redirects[fromKey]?.to === toUrl) return;
+
+    const page = getPage(toUrl);
+    if (sinks.includes(page)) return;
+
+    const sameDestination = Object.keys(redirects).filter(key => key !== fromKey && getPage(redirects[key].to) === page);
+    if (sameDestination.length + 1 >= SINK_SOURCES) {
+      // Not a short link's destination but a page many links end up on
+      for (const key of sameDestination) {
+        delete redirects[key];
+      }
+      delete redirects[fromKey];
+      sinks.push(page);
+      if (sinks.length > MAX_SINKS) sinks.splice(0, sinks.length - MAX_SINKS);
+      await chrome.storage.local.set({ [STORAGE_KEY]: redirects, [SINKS_KEY]: sinks });
+      return;
+    }
+    redirects[fromKey] = { to: toUrl, time: Date.now() };
+
+    const keys = Object.keys(redirects);
+    if (keys.length > MAX_ENTRIES) {
+      keys.sort((a, b) => redirects[a].time - redirects[b].time);
+      for (const key of keys.slice(0, keys.length - MAX_ENTRIES)) {
+        delete redirects[key];
+      }
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: redirects });
+  }
+
+  /**
+   * Map URLs to their learned destinations
+   * @param {string[]} urls
+   * @returns {Promise<Map<string, string>>} URL -> final URL, only for known sources
+   */
+  async function resolve(urls) {
+    const redirects = await loadRedirects();
+    const resolved = new Map();
+    for (const url of urls) {
+      const entry = redirects[toKey(url)];
+      if (entry) resolved.set(url, entry.to);
+    }
+    return resolved;
+  }
+
+  /**
+   * Forget all learned redirects
+   */
+  async function clear() {
+    redirectsPromise = Promise.resolve({});
+    sinksPromise = Promise.resolve([]);
+    await chrome.storage.local.remove([STORAGE_KEY, SINKS_KEY]);
+  }
+
+  /**
+   * Start listening to top-frame navigations
+   * @param {Function} isEnabled - async () => boolean, checked before recording
+   */
+  function start(isEnabled) {
+    chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+      if (details.frameId !== 0) return;
+      pendingStart.set(details.tabId, details.url);
+    });
+
+    chrome.webNavigation.onCommitted.addListener(async (details) => {
+      if (details.frameId !== 0) return;
+
+      const qualifiers = details.transitionQualifiers || [];
+      const isRedirect = qualifiers.some(q => REDIRECT_QUALIFIERS.includes(q));
+      // Server redirects start from the requested URL; client redirects
+      // (meta refresh / JS) from the page that was committed before
+      const from = qualifiers.includes('server_redirect')
+        ? pendingStart.get(details.tabId)
+        : lastCommitted.get(details.tabId);
+
+      pendingStart.delete(details.tabId);
+      lastCommitted.set(details.tabId, details.url);
+
+      if (!isRedirect || !from) return;
+
+      try {
+        if (await isEnabled()) {
+          await record(from, details.url);
+        }
+      } catch (error) {
+        console.error('[Visited Link] Error recording redirect:', error);
+      }
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      pendingStart.delete(tabId);
+      lastCommitted.delete(tabId);
+    });
+  }
+
+  return {
+    start,
+    resolve,
+    clear
+  };
+})();
+
+// Make available in the service worker global scope
+if (typeof globalThis !== 'undefined') {
+  globalThis.RedirectLearner = RedirectLearner;
+}
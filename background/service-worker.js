@@ -1,114 +1,154 @@
 /**
  * Background Service Worker
- * Handles history queries, URL normalization matching, message communication and caching
+ * Handles the history index, URL normalization matching and message communication
  */
 
-importScripts('/utils/url-normalizer.js');
-
-// Default configuration
-const DEFAULT_CONFIG = {
-  enabled: true,
-  ignoreParams: [],
-  ignoreHash: true,
-  highlightTextColor: '#C58AF9'
-};
-
-// Cache for history queries (keyed by tab id)
-const historyCache = new Map();
+importScripts(
+  '/utils/host-pattern.js',
+  '/utils/url-normalizer.js',
+  '/utils/config-store.js',
+  '/utils/visit-filter.js',
+  '/background/history-index.js',
+  '/background/redirect-learner.js',
+  '/background/manual-marks.js',
+  '/background/reading-progress.js',
+  '/background/context-menus.js',
+  '/background/tab-stats.js'
+);
 
 /**
  * Get current configuration from storage
  * @returns {Promise<Object>}
  */
-async function getConfig() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(DEFAULT_CONFIG, (result) => {
-      resolve(result);
-    });
-  });
+function getConfig() {
+  return ConfigStore.load();
 }
 
 /**
- * Query history for a specific domain and return all visited URLs
- * @param {string} domain - Domain to search
- * @returns {Promise<string[]>} List of visited URLs for that domain
+ * Make sure the history index is built for the given configuration
+ * @param {Object} config
+ * @returns {Promise<void>}
  */
-async function queryHistoryByDomain(domain) {
-  return new Promise((resolve) => {
-    chrome.history.search(
-      {
-        text: domain,
-        maxResults: 10000,
-        startTime: 0
-      },
-      (results) => {
-        const urls = results ? results.map(item => item.url) : [];
-        resolve(urls);
-      }
-    );
-  });
+function ensureHistoryIndex(config) {
+  return HistoryIndex.ensure(UrlNormalizer.createNormalizer(config), UrlNormalizer.getConfigSignature(config));
 }
 
 /**
- * Check which URLs from the given list have been visited
- * Uses domain-grouped batch querying and URL normalization
- * @param {string[]} urls - List of URLs to check
- * @param {string[]} ignoreParams - Parameters to ignore during comparison
- * @param {boolean} ignoreHash - Whether to ignore URL hash/fragment
- * @returns {Promise<string[]>} List of visited original URLs
+ * Map URLs to the normalized keys they are matched by
+ * @param {string[]} urls
+ * @param {Object} config - Current configuration (normalization settings)
+ * @returns {Promise<Map<string, string>>} Original URL -> normalized key (http(s) URLs only)
  */
-async function checkVisitedUrls(urls, ignoreParams, ignoreHash) {
-  // Group URLs by domain
-  const domainGroups = new Map();
-  const urlToOriginals = new Map(); // normalized -> [original URLs]
+async function getUrlKeys(urls, config) {
+  const normalize = UrlNormalizer.createNormalizer(config);
+  const urlToKey = new Map();
 
   for (const url of urls) {
     if (!UrlNormalizer.isValidHttpUrl(url)) continue;
+    urlToKey.set(url, normalize(url));
+  }
+  return urlToKey;
+}
 
-    const domain = UrlNormalizer.extractDomain(url);
-    if (!domain) continue;
+/**
+ * Map URLs to the normalized keys of their learned short-link destinations
+ * @param {Map<string, string>} urlToKey - From getUrlKeys
+ * @param {Object} config
+ * @returns {Promise<Map<string, string>>} Original URL -> destination key, only where it differs from the URL's own key
+ */
+async function getDestinationKeys(urlToKey, config) {
+  const normalize = UrlNormalizer.createNormalizer(config);
+  const redirects = await RedirectLearner.resolve(Array.from(urlToKey.keys()));
+  const urlToDestination = new Map();
 
-    if (!domainGroups.has(domain)) {
-      domainGroups.set(domain, []);
-    }
-    domainGroups.get(domain).push(url);
+  for (const [url, to] of redirects) {
+    const key = normalize(to);
+    if (key !== urlToKey.get(url)) urlToDestination.set(url, key);
+  }
+  return urlToDestination;
+}
 
-    const normalized = UrlNormalizer.normalizeUrl(url, ignoreParams, ignoreHash);
-    if (!urlToOriginals.has(normalized)) {
-      urlToOriginals.set(normalized, []);
+/**
+ * Check which URLs from the given list have been visited
+ * Normalizes each URL (and its learned short-link destination, if any),
+ * looks both up in the persistent history index, keeps
+ * only visits inside the configured time window and transition types,
+ * applies manual read/unread marks on top and adds reading progress
+ * @param {string[]} urls - List of URLs to check
+ * @param {Object} config - Current configuration (normalization settings)
+ * @returns {Promise<Object<string, {lastVisitTime: number, visitCount: number, normalizedUrl: string, manual?: boolean, reading?: {depth: number, seconds: number}}>>}
+ *   Visit info keyed by visited original URL
+ */
+async function checkVisitedUrls(urls, config) {
+  await ensureHistoryIndex(config);
+
+  const urlToKey = await getUrlKeys(urls, config);
+  const urlToDestination = await getDestinationKeys(urlToKey, config);
+  const keys = new Set([...urlToKey.values(), ...urlToDestination.values()]);
+  const [visits, marks, progress] = await Promise.all([
+    HistoryIndex.lookup(keys).then(found => VisitFilter.apply(found, config)),
+    ManualMarks.get(keys),
+    config.trackReading ? ReadingProgress.get(keys) : new Map()
+  ]);
+
+  const visited = {};
+  for (const [url, key] of urlToKey) {
+    // A link counts as visited through its own key or its learned destination's
+    for (const candidate of [key, urlToDestination.get(url)]) {
+      if (!candidate) continue;
+      const visit = ManualMarks.merge(visits.get(candidate), marks.get(candidate));
+      if (visit) {
+        visited[url] = { ...visit, normalizedUrl: candidate };
+        if (progress.has(candidate)) visited[url].reading = progress.get(candidate);
+        break;
+      }
     }
-    urlToOriginals.get(normalized).push(url);
-  }
-
-  // Query history for each domain in parallel
-  const visitedOriginalUrls = new Set();
-  const domainQueries = [];
-
-  for (const [domain, domainUrls] of domainGroups) {
-    domainQueries.push(
-      queryHistoryByDomain(domain).then((historyUrls) => {
-        // Normalize all history URLs
-        const normalizedHistory = new Set();
-        for (const hUrl of historyUrls) {
-          normalizedHistory.add(UrlNormalizer.normalizeUrl(hUrl, ignoreParams, ignoreHash));
-        }
-
-        // Check each page URL against normalized history
-        for (const pageUrl of domainUrls) {
-          const normalizedPageUrl = UrlNormalizer.normalizeUrl(pageUrl, ignoreParams, ignoreHash);
-          if (normalizedHistory.has(normalizedPageUrl)) {
-            visitedOriginalUrls.add(pageUrl);
-          }
-        }
-      })
-    );
   }
+  return visited;
+}
 
-  await Promise.all(domainQueries);
-  return Array.from(visitedOriginalUrls);
+/**
+ * Manually mark URLs read or unread and refresh open tabs
+ * @param {string[]} urls - Original link URLs
+ * @param {boolean} read
+ */
+async function setManualMarks(urls, read) {
+  const config = await getConfig();
+  const urlToKey = await getUrlKeys(urls, config);
+  const urlToDestination = await getDestinationKeys(urlToKey, config);
+  // Mark the destinations too, so a link doesn't stay visited through one
+  await ManualMarks.set(new Set([...urlToKey.values(), ...urlToDestination.values()]), read);
+  notifyAllTabs();
 }
 
-// Listen for messages from content scripts and popup
+/**
+ * Add a reading tracker report for a page (see ReadingTracker)
+ * @param {{url: string, depth: number, seconds: number}} report
+ */
+async function recordReading({ url, depth, seconds }) {
+  const config = await getConfig();
+  if (!config.trackReading) return;
+  const urlToKey = await getUrlKeys([url], config);
+  const key = urlToKey.get(url);
+  if (key) await ReadingProgress.record(key, depth, seconds);
+}
+
+/**
+ * Look up a single URL for the options page's match tester
+ * @param {string} url
+ * @returns {Promise<{redirectedTo: string|null, visit: Object|null}>} Learned short-link
+ *   destination (if any) and the visit details the highlighter would use
+ */
+async function diagnoseUrl(url) {
+  const config = await getConfig();
+  const [redirects, visited] = await Promise.all([
+    RedirectLearner.resolve([url]),
+    checkVisitedUrls([url], config)
+  ]);
+  return { redirectedTo: redirects.get(url) || null, visit: visited[url] || null };
+}
+
+// Listen for messages from content scripts, popup and options page
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'checkVisited') {
     handleCheckVisited(message, sender).then(sendResponse);
@@ -120,20 +160,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === 'updateStats') {
+    if (sender.tab?.id !== undefined) {
+      getConfig().then(config => TabStats.set(sender.tab.id, message.stats || {}, config)).catch((error) => {
+        console.error('[Visited Link] Error storing tab stats:', error);
+      });
+    }
+    return false;
+  }
+
+  if (message.action === 'getTabStats') {
+    TabStats.get(message.tabId).then(sendResponse).catch(() => sendResponse(null));
+    return true;
+  }
+
   if (message.action === 'configUpdated') {
-    // Clear cache when config changes
-    historyCache.clear();
-    // Notify all tabs to refresh
-    notifyAllTabs();
+    handleConfigUpdated();
     sendResponse({ success: true });
     return true;
   }
 
-  if (message.action === 'refreshTab') {
-    if (sender.tab) {
-      historyCache.delete(sender.tab.id);
-    }
-    sendResponse({ success: true });
+  if (message.action === 'contextLinkChanged') {
+    getConfig().then(config => ContextMenus.setLinkUrl(message.url, config)).catch((error) => {
+      console.error('[Visited Link] Error updating context menu:', error);
+    });
+    return false;
+  }
+
+  if (message.action === 'setManualMarks') {
+    setManualMarks(message.urls || [], message.read !== false)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Visited Link] Error saving manual marks:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'recordReading') {
+    recordReading(message).catch((error) => {
+      console.error('[Visited Link] Error recording reading progress:', error);
+    });
+    return false;
+  }
+
+  if (message.action === 'diagnoseUrl') {
+    diagnoseUrl(message.url)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Visited Link] Error diagnosing URL:', error);
+        sendResponse({ redirectedTo: null, visit: null, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'clearLearnedRedirects') {
+    RedirectLearner.clear()
+      .then(() => {
+        notifyAllTabs();
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error('[Visited Link] Error clearing learned redirects:', error);
+        sendResponse({ success: false, error: error.message });
+      });
     return true;
   }
 });
@@ -146,22 +236,49 @@ async function handleCheckVisited(message, sender) {
     const config = await getConfig();
 
     if (!config.enabled) {
-      return { visitedUrls: [], config };
+      return { visited: {}, config };
+    }
+
+    const pageUrl = sender.tab?.url || sender.url;
+    const hostname = pageUrl ? UrlNormalizer.extractDomain(pageUrl) : null;
+    if (hostname && !HostPattern.isSiteEnabled(hostname, config.siteMode, config.siteList)) {
+      return { visited: {}, config, siteDisabled: true };
     }
 
-    const visitedUrls = await checkVisitedUrls(
-      message.urls || [],
-      config.ignoreParams || [],
-      config.ignoreHash !== false
-    );
+    const visited = await checkVisitedUrls(message.urls || [], config);
 
-    return { visitedUrls, config };
+    return { visited, config };
   } catch (error) {
     console.error('[Visited Link] Error checking visited URLs:', error);
-    return { visitedUrls: [], config: DEFAULT_CONFIG, error: error.message };
+    return { visited: {}, config: ConfigStore.getDefaults(), error: error.message };
   }
 }
 
+/**
+ * React to a saved configuration change
+ */
+function handleConfigUpdated() {
+  // Rebuild the history index if normalization settings changed
+  getConfig().then(ensureHistoryIndex).catch((error) => {
+    console.error('[Visited Link] Error rebuilding history index:', error);
+  });
+  // Badge mode, color or enabled sites may have changed
+  getConfig().then(TabStats.updateAllBadges).catch((error) => {
+    console.error('[Visited Link] Error updating badges:', error);
+  });
+  // Notify all tabs to refresh
+  notifyAllTabs();
+}
+
+/**
+ * Save config changes made by the worker itself, then broadcast them
+ * @param {Object} changes - Config keys to write
+ */
+async function saveConfigChanges(changes) {
+  await ConfigStore.save(changes);
+  handleConfigUpdated();
+}
+
 /**
  * Notify all tabs to refresh their highlighted links
  */
@@ -186,9 +303,7 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
     if (tab?.url && !tab.url.startsWith('chrome://')) {
-      // Clear cache for this tab so fresh history is queried
-      historyCache.delete(activeInfo.tabId);
-      chrome.tabs.sendMessage(activeInfo.tabId, { action: 'refreshHighlights' }).catch(() => {
+      chrome.tabs.sendMessage(activeInfo.tabId, { action: 'refreshHighlights', keepCache: true }).catch(() => {
         // Content script might not be loaded
       });
     }
@@ -197,7 +312,147 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   }
 });
 
-// Clean up cache when a tab is closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  historyCache.delete(tabId);
+// Tell the page about client-side route changes (pushState / replaceState),
+// which content scripts can't observe from their isolated world
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+  chrome.tabs.sendMessage(details.tabId, { action: 'routeChanged' }).catch(() => {
+    // Content script might not be loaded
+  });
+});
+
+// Keep the history index current
+chrome.history.onVisited.addListener(async (item) => {
+  VisitFilter.invalidate([item.url]);
+  try {
+    const config = await getConfig();
+    await ensureHistoryIndex(config);
+    await HistoryIndex.addItem(item, UrlNormalizer.createNormalizer(config));
+  } catch (error) {
+    console.error('[Visited Link] Error indexing visit:', error);
+  }
+});
+
+chrome.history.onVisitRemoved.addListener(async (removed) => {
+  try {
+    if (removed.allHistory) {
+      VisitFilter.invalidate();
+      await HistoryIndex.clear();
+    } else {
+      VisitFilter.invalidate(removed.urls || []);
+      await HistoryIndex.removeUrls(removed.urls || []);
+    }
+  } catch (error) {
+    console.error('[Visited Link] Error removing visits from index:', error);
+  }
+});
+
+// Show each tab's visited link count on the toolbar badge
+TabStats.start(getConfig);
+
+// Learn short-link destinations from navigations
+RedirectLearner.start(async () => {
+  const config = await getConfig();
+  return config.learnRedirects !== false;
+});
+
+/**
+ * Send a message to a tab's content script, ignoring tabs without one
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} message
+ */
+function sendToTab(tab, message) {
+  if (!tab?.id) return Promise.resolve();
+  return chrome.tabs.sendMessage(tab.id, message).catch(() => {
+    // Content script might not be loaded
+  });
+}
+
+// Link / page context menu actions
+ContextMenus.start(getConfig, {
+  async checkVisited(tab, url) {
+    const config = await getConfig();
+    const [visited, urlToKey] = await Promise.all([checkVisitedUrls([url], config), getUrlKeys([url], config)]);
+    await sendToTab(tab, {
+      action: 'showLinkStatus',
+      url,
+      visit: visited[url] || null,
+      normalizedUrl: urlToKey.get(url) || url
+    });
+  },
+
+  markRead(url, read) {
+    return setManualMarks([url], read);
+  },
+
+  async ignoreParam(key) {
+    const config = await getConfig();
+    if (config.ignoreParams.includes(key)) return;
+    await saveConfigChanges({ ignoreParams: [...config.ignoreParams, key] });
+  },
+
+  async disableSite(pageUrl) {
+    const hostname = pageUrl ? UrlNormalizer.extractDomain(pageUrl) : null;
+    if (!hostname) return;
+
+    const config = await getConfig();
+    if (!HostPattern.isSiteEnabled(hostname, config.siteMode, config.siteList)) return;
+
+    // Block mode lists disabled hosts; allow mode lists enabled ones
+    const siteList = config.siteMode === 'allow'
+      ? config.siteList.filter(pattern => !HostPattern.matches(hostname, pattern))
+      : [...config.siteList, hostname];
+    await saveConfigChanges({ siteList });
+  },
+
+  async copyNormalized(tab, url) {
+    const urlToKey = await getUrlKeys([url], await getConfig());
+    await sendToTab(tab, { action: 'copyText', text: urlToKey.get(url) || url });
+  }
+});
+
+// Keyboard commands
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (command === 'toggle-highlighting') {
+      const config = await getConfig();
+      await saveConfigChanges({ enabled: !config.enabled });
+      return;
+    }
+
+    const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab?.id) return;
+
+    if (command === 'next-unvisited' || command === 'previous-unvisited') {
+      await sendToTab(activeTab, { action: 'focusUnvisited', direction: command === 'next-unvisited' ? 1 : -1 });
+    } else if (command === 'open-next-unvisited') {
+      const response = await sendToTab(activeTab, { action: 'openNextUnvisited' });
+      if (response?.url) {
+        await chrome.tabs.create({
+          url: response.url,
+          active: false,
+          index: activeTab.index + 1,
+          openerTabId: activeTab.id
+        });
+      }
+    }
+  } catch (error) {
+    console.error('[Visited Link] Error running command:', error);
+  }
+});
+
+// Build the index up front so the first page scan is fast
+function warmHistoryIndex() {
+  getConfig().then(ensureHistoryIndex).catch((error) => {
+    console.error('[Visited Link] Error building history index:', error);
+  });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  ContextMenus.create();
+  // Upgrade stored settings before the index is built from them
+  ConfigStore.migrate().catch((error) => {
+    console.error('[Visited Link] Error migrating settings:', error);
+  }).then(warmHistoryIndex);
 });
+chrome.runtime.onStartup.addListener(warmHistoryIndex);
@@ -0,0 +1,146 @@
+/**
+ * Tab Stats
+ * Keeps the visited / total link counts each tab's content script reports
+ * after a scan, and shows them on the toolbar badge as a count or percentage.
+ * Stats live in chrome.storage.session so they survive worker restarts.
+ */
+
+const TabStats = (() => {
+  const KEY_PREFIX = 'tabStats:';
+  const MAX_BADGE_COUNT = 999;
+
+  /**
+   * @param {number} tabId
+   * @returns {string} Session storage key
+   */
+  function toKey(tabId) {
+    return KEY_PREFIX + tabId;
+  }
+
+  /**
+   * Get the last reported stats of a tab
+   * @param {number} tabId
+   * @returns {Promise<{visited: number, total: number, hidden: number, revealed: boolean}|null>}
+   */
+  async function get(tabId) {
+    const key = toKey(tabId);
+    const result = await chrome.storage.session.get(key);
+    return result[key] || null;
+  }
+
+  /**
+   * Forget a tab's stats (closed or navigated to a new document)
+   * @param {number} tabId
+   */
+  async function clear(tabId) {
+    await chrome.storage.session.remove(toKey(tabId));
+  }
+
+  /**
+   * Badge text for stats
+   * @param {Object|null} stats
+   * @param {string} mode - 'count', 'percent' or 'off'
+   * @returns {string} Empty when there is nothing visited to show
+   */
+  function formatBadge(stats, mode) {
+    if (!stats || stats.total === 0 || stats.visited === 0) return '';
+    if (mode === 'percent') {
+      return `${Math.round((stats.visited / stats.total) * 100)}%`;
+    }
+    if (mode === 'count') {
+      return stats.visited > MAX_BADGE_COUNT ? `${Math.floor(stats.visited / 1000)}k` : String(stats.visited);
+    }
+    return '';
+  }
+
+  /**
+   * Show a tab's stats on its badge, or clear the badge where highlighting is off
+   * @param {number} tabId
+   * @param {Object} config
+   */
+  async function updateBadge(tabId, config) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch {
+      return; // Tab closed meanwhile
+    }
+
+    const hostname = tab.url ? UrlNormalizer.extractDomain(tab.url) : null;
+    const active = config.enabled && hostname &&
+      HostPattern.isSiteEnabled(hostname, config.siteMode, config.siteList);
+    const text = active ? formatBadge(await get(tabId), config.badgeMode) : '';
+
+    await chrome.action.setBadgeText({ tabId, text });
+    if (text) {
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: config.highlightTextColor });
+    }
+  }
+
+  /**
+   * Store stats reported by a tab's content script and update its badge
+   * @param {number} tabId
+   * @param {Object} stats - {visited, total, hidden, revealed}
+   * @param {Object} config
+   */
+  async function set(tabId, stats, config) {
+    await chrome.storage.session.set({
+      [toKey(tabId)]: {
+        visited: stats.visited || 0,
+        total: stats.total || 0,
+        hidden: stats.hidden || 0,
+        revealed: !!stats.revealed
+      }
+    });
+    await updateBadge(tabId, config);
+  }
+
+  /**
+   * Redraw every open tab's badge (after a settings change)
+   * @param {Object} config
+   */
+  async function updateAllBadges(config) {
+    const tabs = await chrome.tabs.query({});
+    await Promise.all(tabs.map(tab => updateBadge(tab.id, config)));
+  }
+
+  /**
+   * Start tracking tab lifecycle: stats belong to one document, and the
+   * active tab's badge is redrawn when switching to it
+   * @param {Function} getConfig - async () => config
+   */
+  function start(getConfig) {
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId !== 0) return;
+      clear(details.tabId)
+        .then(() => chrome.action.setBadgeText({ tabId: details.tabId, text: '' }))
+        .catch(() => {
+          // Tab may be gone already
+        });
+    });
+
+    chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+      try {
+        await updateBadge(tabId, await getConfig());
+      } catch (error) {
+        console.error('[Visited Link] Error updating badge:', error);
+      }
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      clear(tabId).catch(() => {});
+    });
+  }
+
+  return {
+    get,
+    set,
+    updateAllBadges,
+    start
+  };
+})();
+
+// Make available in the service worker global scope
+if (typeof globalThis !== 'undefined') {
+  globalThis.TabStats = TabStats;
+}
@@ -6,39 +6,372 @@
 
 (() => {
   const HIGHLIGHT_CLASS = 'vlh-visited';
+  const RECENCY_CLASSES = {
+    today: 'vlh-recent-today',
+    week: 'vlh-recent-week',
+    older: 'vlh-recent-older'
+  };
+  // Reading progress (only applied when tracking is enabled)
+  const READING_CLASSES = {
+    partial: 'vlh-partial',
+    read: 'vlh-read'
+  };
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
   const DEBOUNCE_DELAY = 300;
+  const CHUNK_SIZE = 500;
+  const CHUNK_DELAY = 16;
+  // Links within one viewport height of the screen are checked first
+  const VIEWPORT_MARGIN = '100% 0px';
+  const FOCUS_CLASS = 'vlh-focus';
+  const FOCUS_OUTLINE_MS = 1500;
+  const MAX_TITLE_LENGTH = 200;
+  // Custom elements often attach their shadow root after being inserted
+  // (lazy upgrade); hosts seen without one are looked at again after these delays
+  const SHADOW_RECHECK_DELAYS = [500, 2000];
+  const MAX_PENDING_HOSTS = 1000;
   let debounceTimer = null;
-  let isProcessing = false;
+  let currentConfig = null;
+
+  // Scannable roots: the document plus open shadow roots and same-origin frames
+  let roots = [document];
+  const attachedRoots = new WeakSet();
+  const watchedFrames = new WeakSet();
+  let stylesPromise = null;
+
+  // Visit details per highlighted anchor, for the hover tooltip
+  const visitDetails = new WeakMap();
+
+  // href each anchor had when last checked, to spot rewritten / re-resolved links
+  const checkedHref = new WeakMap();
+
+  // Anchors waiting for an incremental re-check
+  const pendingAnchors = new Set();
+  let pendingTimer = null;
+
+  // Per-page cache: URL -> visit details, or null when not visited
+  const visitCache = new Map();
+  // Tracked anchors per URL, so results can be applied as they arrive
+  let anchorsByUrl = new Map();
+  // URLs waiting to be checked: near the viewport first, then the rest
+  const priorityUrls = new Set();
+  const backlogUrls = new Set();
+  let pumpTimer = null;
+  let isPumping = false;
+  let viewportObserver = null;
+  let filterTimer = null;
+  let statsTimer = null;
+
+  // Include/exclude selectors for this site, recomputed when the config changes
+  let linkScope = null;
+
+  // Link last right-clicked, for context menu results
+  let contextAnchor = null;
+  // Link URL the background last built the "Ignore parameter…" submenu for
+  let menuLinkUrl = null;
+
+  // Unvisited links of the main document in document order, for keyboard
+  // navigation; rebuilt lazily after highlights change
+  let unvisitedAnchors = [];
+  let unvisitedDirty = true;
+  let cursorAnchor = null;
+  let focusTimer = null;
+
+  // Every class the highlighter may put on a link
+  const MANAGED_CLASSES = [
+    HIGHLIGHT_CLASS,
+    ...Object.values(RECENCY_CLASSES),
+    ...Object.values(READING_CLASSES),
+    ...HighlightStyle.ALL_CLASSES
+  ];
 
   /**
-   * Apply highlight colors as CSS custom properties on the document
-   * @param {Object} config - Configuration with highlightTextColor
+   * Apply highlight colors and style amounts as CSS custom properties on the document
+   * @param {Object} config - Configuration with colors and style settings
    */
   function applyHighlightColors(config) {
-    const root = document.documentElement;
-    root.style.setProperty('--vlh-text-color', config.highlightTextColor || '#C58AF9');
+    // Shadow roots inherit the variables; frame documents need their own
+    for (const doc of roots.filter(r => r.nodeType === Node.DOCUMENT_NODE)) {
+      HighlightStyle.applyVariables(doc.documentElement, config);
+    }
+  }
+
+  /**
+   * Classify a last visit time as today, within the last week, or older
+   * @param {number} lastVisitTime - Milliseconds since epoch
+   * @returns {string} Key of RECENCY_CLASSES
+   */
+  function getRecencyTier(lastVisitTime) {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    if (lastVisitTime >= startOfToday.getTime()) return 'today';
+    if (lastVisitTime >= Date.now() - WEEK_MS) return 'week';
+    return 'older';
+  }
+
+  /**
+   * Classify a visited page's reading progress against the configured
+   * threshold. Pages visited without the tracker running have no progress.
+   * @param {{manual?: boolean, reading?: {depth: number, seconds: number}}} visit
+   * @returns {string|null} Key of READING_CLASSES, or null when unknown or not tracking
+   */
+  function getReadingState(visit) {
+    if (!currentConfig?.trackReading) return null;
+    // Marked read by hand
+    if (visit.manual) return 'read';
+    if (!visit.reading) return null;
+
+    const { depth, seconds } = visit.reading;
+    return depth >= currentConfig.readThreshold && seconds >= currentConfig.readMinSeconds ? 'read' : 'partial';
+  }
+
+  /**
+   * Get the classes a visited link should carry: the highlight, the recency
+   * tier and reading state when enabled, and the configured style effects
+   * @param {{lastVisitTime: number}} visit
+   * @returns {string[]}
+   */
+  function getVisitClasses(visit) {
+    const classes = [HIGHLIGHT_CLASS, ...HighlightStyle.getClasses(currentConfig || {})];
+    if (currentConfig?.recencyTiers) {
+      classes.push(RECENCY_CLASSES[getRecencyTier(visit.lastVisitTime)]);
+    }
+    const readingState = getReadingState(visit);
+    if (readingState) {
+      classes.push(READING_CLASSES[readingState]);
+    }
+    return classes;
+  }
+
+  /**
+   * Start or stop the reading tracker for this page
+   * @param {Object} config
+   */
+  function updateReadingTracker(config) {
+    if (config.enabled && isSiteEnabled(config) && config.trackReading) {
+      ReadingTracker.start();
+    } else {
+      ReadingTracker.stop();
+    }
+  }
+
+  /**
+   * Mark an element as visited
+   * @param {Element} el
+   * @param {{lastVisitTime: number, visitCount: number, normalizedUrl?: string}} visit
+   */
+  function markVisited(el, visit) {
+    el.classList.add(...getVisitClasses(visit));
+    visitDetails.set(el, visit);
+    unvisitedDirty = true;
+  }
+
+  /**
+   * Remove the visited highlight (tier and style classes included) from an element
+   * @param {Element} el
+   */
+  function unmarkVisited(el) {
+    el.classList.remove(...MANAGED_CLASSES);
+    visitDetails.delete(el);
+    unvisitedDirty = true;
+  }
+
+  /**
+   * Bring an element's highlight in line with a visit status, touching the
+   * class list only when something actually changes
+   * @param {Element} el
+   * @param {Object|null} visit - Visit details, or null when not visited
+   */
+  function applyVisit(el, visit) {
+    if (!visit) {
+      if (el.classList.contains(HIGHLIGHT_CLASS)) unmarkVisited(el);
+      return;
+    }
+
+    const wanted = getVisitClasses(visit);
+    const changed = MANAGED_CLASSES.some(cls => el.classList.contains(cls) !== wanted.includes(cls));
+    if (changed) {
+      unmarkVisited(el);
+      markVisited(el, visit);
+    } else {
+      visitDetails.set(el, visit);
+    }
+  }
+
+  /**
+   * Get the values of every per-site rule (keyed by host pattern) that
+   * matches this page
+   * @param {Object} config
+   * @param {string} key - Config key of a host pattern -> value map
+   * @returns {Array}
+   */
+  function getSiteRuleValues(config, key) {
+    return Object.entries(config[key] || {})
+      .filter(([pattern]) => HostPattern.matches(location.hostname, pattern))
+      .map(([, value]) => value);
+  }
+
+  /**
+   * Get the filter-mode item selector for this page from the per-site rules
+   * @param {Object} config
+   * @returns {string} Combined selector, or '' to use the heuristic
+   */
+  function getItemSelector(config) {
+    return getSiteRuleValues(config, 'filterContainers').join(', ');
+  }
+
+  /**
+   * Get the include/exclude link selectors for this page
+   * @returns {{include: string, exclude: string}} Combined selectors ('' when none)
+   */
+  function getLinkScope() {
+    if (!linkScope || linkScope.config !== currentConfig) {
+      const combine = key => currentConfig ? getSiteRuleValues(currentConfig, key).flat().join(', ') : '';
+      linkScope = {
+        config: currentConfig,
+        include: combine('siteIncludeSelectors'),
+        exclude: combine('siteExcludeSelectors')
+      };
+    }
+    return linkScope;
+  }
+
+  /**
+   * Element.closest that continues past shadow roots into their hosts
+   * @param {Element} el
+   * @param {string} selector
+   * @returns {Element|null} Null also for an invalid selector
+   */
+  function closestComposed(el, selector) {
+    try {
+      for (let node = el; node; node = node.getRootNode().host) {
+        const match = node.closest(selector);
+        if (match) return match;
+      }
+    } catch {
+      // Invalid selector
+    }
+    return null;
+  }
+
+  /**
+   * Check a link against this site's include/exclude selector rules
+   * @param {Element} anchor
+   * @returns {boolean}
+   */
+  function isInScope(anchor) {
+    const { include, exclude } = getLinkScope();
+    if (include && !closestComposed(anchor, include)) return false;
+    if (exclude && closestComposed(anchor, exclude)) return false;
+    return true;
+  }
+
+  /**
+   * Collapse / hide the items around highlighted links per the filter mode
+   */
+  function updateFilter() {
+    filterTimer = null;
+    const mode = currentConfig?.filterMode || 'off';
+    const visited = mode === 'off' ? [] : DomRoots.querySelectorAll(roots, `a.${HIGHLIGHT_CLASS}`);
+    ItemFilter.update(visited, mode, currentConfig ? getItemSelector(currentConfig) : '');
+  }
+
+  function scheduleFilter() {
+    if (!filterTimer) {
+      filterTimer = setTimeout(updateFilter, CHUNK_DELAY);
+    }
+  }
+
+  /**
+   * Check the site allow/block list for this page
+   * @param {Object} config
+   * @returns {boolean}
+   */
+  function isSiteEnabled(config) {
+    return HostPattern.isSiteEnabled(location.hostname, config.siteMode, config.siteList);
+  }
+
+  /**
+   * Load the highlight stylesheet text for roots that content.css can't reach
+   * @returns {Promise<string>}
+   */
+  function loadStyles() {
+    if (!stylesPromise) {
+      stylesPromise = fetch(chrome.runtime.getURL('content/content.css'))
+        .then(response => response.text())
+        .catch(() => '');
+    }
+    return stylesPromise;
+  }
+
+  /**
+   * Re-scan links when a frame navigates or finishes loading
+   * @param {Element} frame
+   */
+  function watchFrame(frame) {
+    if (watchedFrames.has(frame)) return;
+    watchedFrames.add(frame);
+    frame.addEventListener('load', queueNewRoots);
+  }
+
+  /**
+   * Discover shadow roots and same-origin frames, then wire up new ones:
+   * inject styles, attach event listeners and observe mutations
+   * @returns {Array<Document|ShadowRoot>} Roots that were not known before
+   */
+  function syncRoots() {
+    roots = DomRoots.collect(document, watchFrame);
+    const newRoots = [];
+
+    for (const root of roots) {
+      if (root === document || attachedRoots.has(root)) continue;
+      attachedRoots.add(root);
+      newRoots.push(root);
+
+      loadStyles().then(css => DomRoots.injectStyles(root, css));
+
+      // Events from frames don't reach the top document; shadow DOM events do
+      if (root.nodeType === Node.DOCUMENT_NODE) {
+        addLinkListeners(root);
+      }
+    }
+
+    observeRoots();
+    return newRoots;
+  }
+
+  /**
+   * Get the URL an anchor points to, if it is a checkable web link
+   * @param {Element} anchor
+   * @returns {string|null}
+   */
+  function getLinkUrl(anchor) {
+    const href = anchor.href;
+    if (!href || typeof href !== 'string' || href.startsWith('javascript:') || href.startsWith('#') ||
+        href.startsWith('chrome://') || href.startsWith('chrome-extension://')) {
+      return null;
+    }
+
+    try {
+      new URL(href);
+    } catch {
+      return null;
+    }
+    return href;
   }
 
   /**
    * Collect all valid link URLs from the page
-   * @param {Element} root - Root element to scan (default: document)
+   * @param {Array<Document|ShadowRoot>} scanRoots - Roots to scan (default: all known roots)
    * @returns {Map<string, Element[]>} Map of URL -> elements
    */
-  function collectLinks(root = document) {
+  function collectLinks(scanRoots = roots) {
     const linkMap = new Map();
-    const anchors = root.querySelectorAll('a[href]');
+    const anchors = DomRoots.querySelectorAll(scanRoots, 'a[href]');
 
     for (const anchor of anchors) {
-      const href = anchor.href;
-      if (!href || href.startsWith('javascript:') || href.startsWith('#') || href.startsWith('chrome://') || href.startsWith('chrome-extension://')) {
-        continue;
-      }
-
-      try {
-        new URL(href);
-      } catch {
-        continue;
-      }
+      const href = getLinkUrl(anchor);
+      if (!href || !isInScope(anchor)) continue;
 
       if (!linkMap.has(href)) {
         linkMap.set(href, []);
@@ -53,131 +386,622 @@
    * Remove all highlights from the page
    */
   function clearHighlights() {
-    const highlighted = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
+    const highlighted = DomRoots.querySelectorAll(roots, `.${HIGHLIGHT_CLASS}`);
     for (const el of highlighted) {
-      el.classList.remove(HIGHLIGHT_CLASS);
+      unmarkVisited(el);
+    }
+    ItemFilter.clear();
+  }
+
+  /**
+   * Drop queued checks (and stop watching the viewport for them)
+   */
+  function clearQueues() {
+    priorityUrls.clear();
+    backlogUrls.clear();
+    viewportObserver?.disconnect();
+  }
+
+  /**
+   * Promote unchecked links that scroll near the viewport
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  function handleIntersections(entries) {
+    let promoted = false;
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      const url = getLinkUrl(entry.target);
+      if (url && backlogUrls.delete(url)) {
+        priorityUrls.add(url);
+        promoted = true;
+      }
+    }
+    if (promoted) schedulePump();
+  }
+
+  /**
+   * Start tracking an anchor: apply its cached status, or queue its URL
+   * @param {Element} anchor
+   * @param {string} url
+   */
+  function trackAnchor(anchor, url) {
+    // A rewritten link no longer counts under its old URL
+    if (checkedHref.get(anchor) !== url) untrackAnchor(anchor);
+    checkedHref.set(anchor, url);
+    unvisitedDirty = true;
+    if (!anchorsByUrl.has(url)) {
+      anchorsByUrl.set(url, new Set());
+    }
+    anchorsByUrl.get(url).add(anchor);
+
+    if (visitCache.has(url)) {
+      applyVisit(anchor, visitCache.get(url));
+      return;
+    }
+
+    if (!priorityUrls.has(url)) backlogUrls.add(url);
+    if (!viewportObserver) {
+      viewportObserver = new IntersectionObserver(handleIntersections, { rootMargin: VIEWPORT_MARGIN });
+    }
+    viewportObserver.observe(anchor);
+  }
+
+  /**
+   * Stop tracking an anchor under the URL it was last checked with
+   * @param {Element} anchor
+   */
+  function untrackAnchor(anchor) {
+    const url = checkedHref.get(anchor);
+    const anchors = anchorsByUrl.get(url);
+    if (!anchors) return;
+    anchors.delete(anchor);
+    if (anchors.size === 0) anchorsByUrl.delete(url);
+    viewportObserver?.unobserve(anchor);
+    unvisitedDirty = true;
+  }
+
+  /**
+   * Check whether a tracked anchor is still on the page with the URL it is tracked under
+   * @param {Element} el
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isCurrentAnchor(el, url) {
+    return el.isConnected && el.href === url;
+  }
+
+  /**
+   * Apply a checked URL's status to every anchor still pointing at it
+   * @param {string} url
+   * @param {Object|null} visit
+   */
+  function applyResult(url, visit) {
+    const anchors = anchorsByUrl.get(url);
+    if (!anchors) return;
+
+    for (const el of anchors) {
+      viewportObserver?.unobserve(el);
+      // Removed or rewritten since it was queued
+      if (!el.isConnected || el.href !== url) {
+        anchors.delete(el);
+        continue;
+      }
+      applyVisit(el, visit);
+    }
+    if (anchors.size === 0) anchorsByUrl.delete(url);
+  }
+
+  /**
+   * Take the next chunk of URLs to check, viewport links first
+   * @returns {string[]}
+   */
+  function takeChunk() {
+    const chunk = [];
+    for (const queue of [priorityUrls, backlogUrls]) {
+      for (const url of queue) {
+        if (chunk.length >= CHUNK_SIZE) return chunk;
+        queue.delete(url);
+        chunk.push(url);
+      }
     }
+    return chunk;
+  }
+
+  function schedulePump() {
+    if (pumpTimer || isPumping) return;
+    pumpTimer = setTimeout(pumpQueue, CHUNK_DELAY);
   }
 
   /**
-   * Main function: scan links and apply highlights
+   * Check queued URLs one chunk at a time, yielding between chunks so
+   * huge pages stay responsive
    */
-  async function processLinks() {
-    if (isProcessing) return;
-    isProcessing = true;
+  async function pumpQueue() {
+    pumpTimer = null;
+    if (isPumping) return;
+    isPumping = true;
 
     try {
       if (!chrome.runtime?.id) return;
 
-      const linkMap = collectLinks();
-      if (linkMap.size === 0) {
-        isProcessing = false;
+      const urls = takeChunk();
+      if (urls.length === 0) {
+        // Queues drained, possibly without a lookup (all URLs were cached)
+        scheduleStats();
         return;
       }
 
-      const urls = Array.from(linkMap.keys());
-
       const response = await chrome.runtime.sendMessage({
         action: 'checkVisited',
         urls: urls
       });
 
       if (!response) {
-        isProcessing = false;
+        // Put them back for the next pass
+        for (const url of urls) backlogUrls.add(url);
         return;
       }
 
-      const { visitedUrls, config } = response;
+      const { visited, config } = response;
 
       if (config) {
+        currentConfig = config;
         applyHighlightColors(config);
+        updateReadingTracker(config);
       }
 
-      if (!config?.enabled) {
+      if (!config?.enabled || response.siteDisabled) {
+        // Stay idle until a refreshHighlights message re-enables us
+        ReadingTracker.stop();
+        clearQueues();
+        visitCache.clear();
+        disconnectObserver();
         clearHighlights();
-        isProcessing = false;
         return;
       }
 
-      // Clear existing highlights
-      clearHighlights();
-
-      // Apply highlights to visited links
-      const visitedSet = new Set(visitedUrls || []);
-      let visitedCount = 0;
-      let totalCount = 0;
+      // Site may have just been re-enabled from the popup
+      startObserver();
 
-      for (const [url, elements] of linkMap) {
-        totalCount += elements.length;
-        if (visitedSet.has(url)) {
-          visitedCount += elements.length;
-          for (const el of elements) {
-            el.classList.add(HIGHLIGHT_CLASS);
-          }
-        }
+      const visitInfo = visited || {};
+      for (const url of urls) {
+        const visit = visitInfo[url] || null;
+        visitCache.set(url, visit);
+        applyResult(url, visit);
       }
+      scheduleFilter();
 
-      // Store stats for popup
-      try {
-        await chrome.runtime.sendMessage({
-          action: 'updateStats',
-          stats: { visited: visitedCount, total: totalCount }
-        });
-      } catch {
-        // Popup might not be listening, ignore
+      if (priorityUrls.size === 0 && backlogUrls.size === 0) {
+        updateFilter();
+        scheduleStats();
       }
     } catch (error) {
       if (error.message?.includes('Extension context invalidated')) {
+        clearQueues();
         disconnectObserver();
         return;
       }
       console.error('[Visited Link] Error processing links:', error);
     } finally {
-      isProcessing = false;
+      isPumping = false;
+      if (priorityUrls.size > 0 || backlogUrls.size > 0) schedulePump();
+    }
+  }
+
+  /**
+   * Report highlighted / total link counts once the page is fully checked.
+   * The service worker keeps them per tab for the toolbar badge and popup.
+   */
+  async function sendStats() {
+    let visitedCount = 0;
+    let totalCount = 0;
+    for (const [url, anchors] of anchorsByUrl) {
+      let count = 0;
+      for (const el of anchors) {
+        if (isCurrentAnchor(el, url)) count++;
+      }
+      totalCount += count;
+      if (visitCache.get(url)) visitedCount += count;
+    }
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'updateStats',
+        stats: {
+          visited: visitedCount,
+          total: totalCount,
+          hidden: ItemFilter.getCount(),
+          revealed: ItemFilter.isRevealed()
+        }
+      });
+    } catch {
+      // Extension context may be gone, ignore
     }
   }
 
+  /**
+   * Report stats shortly, coalescing bursts of incremental re-checks
+   */
+  function scheduleStats() {
+    if (statsTimer) clearTimeout(statsTimer);
+    statsTimer = setTimeout(() => {
+      statsTimer = null;
+      sendStats();
+    }, DEBOUNCE_DELAY);
+  }
+
+  /**
+   * Main function: scan links, apply cached statuses and queue the rest
+   * @param {Object} [options]
+   * @param {boolean} [options.reset] - Forget cached statuses (config changed)
+   * @param {boolean} [options.recheckUnvisited] - Re-check links not yet
+   *   visited or only partly read (they may have been visited or finished
+   *   from another tab meanwhile)
+   */
+  function processLinks({ reset = false, recheckUnvisited = false } = {}) {
+    if (!chrome.runtime?.id) return;
+
+    if (reset) {
+      visitCache.clear();
+      clearQueues();
+    } else if (recheckUnvisited) {
+      // Partly read pages may have been finished meanwhile too
+      for (const [url, visit] of visitCache) {
+        if (!visit || getReadingState(visit) === 'partial') visitCache.delete(url);
+      }
+    }
+
+    syncRoots();
+    const linkMap = collectLinks();
+    anchorsByUrl = new Map();
+
+    for (const [url, elements] of linkMap) {
+      for (const el of elements) {
+        trackAnchor(el, url);
+      }
+    }
+
+    // Highlights left on anchors that no longer match any collected link
+    for (const el of DomRoots.querySelectorAll(roots, `.${HIGHLIGHT_CLASS}`)) {
+      if (!anchorsByUrl.get(el.href)?.has(el)) unmarkVisited(el);
+    }
+    scheduleFilter();
+
+    if (priorityUrls.size > 0 || backlogUrls.size > 0) {
+      schedulePump();
+    } else {
+      // Everything already cached (or no links left): report without a lookup
+      updateFilter();
+      scheduleStats();
+    }
+  }
+
+  /**
+   * Re-check only the given anchors, updating their highlight in place
+   * @param {Element[]} anchors
+   */
+  function checkAnchors(anchors) {
+    for (const anchor of anchors) {
+      if (!anchor.isConnected) continue;
+
+      const href = getLinkUrl(anchor);
+      if (!href || !isInScope(anchor)) {
+        // href removed, no longer a web link, or moved out of scope
+        untrackAnchor(anchor);
+        checkedHref.set(anchor, anchor.href);
+        unmarkVisited(anchor);
+        continue;
+      }
+      trackAnchor(anchor, href);
+    }
+    scheduleFilter();
+    schedulePump();
+  }
+
+  /**
+   * Check every queued anchor
+   */
+  function flushPendingAnchors() {
+    pendingTimer = null;
+    if (!observer || pendingAnchors.size === 0) return;
+
+    const anchors = Array.from(pendingAnchors);
+    pendingAnchors.clear();
+    checkAnchors(anchors);
+  }
+
+  /**
+   * Queue anchors for an incremental re-check
+   * @param {Iterable<Element>} anchors
+   */
+  function queueAnchors(anchors) {
+    for (const anchor of anchors) {
+      pendingAnchors.add(anchor);
+    }
+    if (pendingAnchors.size > 0 && !pendingTimer) {
+      pendingTimer = setTimeout(flushPendingAnchors, DEBOUNCE_DELAY);
+    }
+  }
+
+  /**
+   * Pick up shadow roots / frames that appeared since the last sync and
+   * queue their links
+   */
+  function queueNewRoots() {
+    for (const root of syncRoots()) {
+      queueAnchors(root.querySelectorAll('a[href]'));
+    }
+  }
+
+  /**
+   * Handle a client-side route change (pushState / popstate): relative links
+   * may now resolve elsewhere, and links to the new location are now visited
+   */
+  function handleRouteChange() {
+    ReadingTracker.handleUrlChange();
+    const here = location.href.split('#')[0];
+    const affected = DomRoots.querySelectorAll(roots, 'a[href]').filter((a) => {
+      if (a.href.split('#')[0] !== here) return checkedHref.get(a) !== a.href;
+      visitCache.delete(a.href);
+      return true;
+    });
+    queueAnchors(affected);
+  }
+
   /**
    * Debounced version of processLinks
    */
-  function debouncedProcessLinks() {
+  function debouncedProcessLinks(options) {
     if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(processLinks, DEBOUNCE_DELAY);
+    debounceTimer = setTimeout(() => processLinks(options), DEBOUNCE_DELAY);
   }
 
-  // MutationObserver to handle dynamically added links (SPA support)
+  // MutationObserver to handle dynamically added links (SPA support),
+  // attached to the document and every discovered shadow root / frame
   let observer = null;
+  let observedRoots = new WeakSet();
+
+  // Custom elements seen without a shadow root, and the deferred re-check
+  const pendingHosts = new Set();
+  let hostTimer = null;
+  let hostPass = 0;
+
+  /**
+   * Walk a subtree once: find whether it holds shadow roots or frames to
+   * scan, and remember custom elements that have no shadow root yet (they
+   * may attach one later)
+   * @param {Element|ShadowRoot} node
+   * @returns {boolean} Whether the subtree hosts shadow roots or frames
+   */
+  function scanSubtree(node) {
+    let hasRootHost = false;
+    const walker = DomRoots.getDocument(node).createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.currentNode; el; el = walker.nextNode()) {
+      if (DomRoots.isRootHost(el)) {
+        hasRootHost = true;
+      } else if (el.localName?.includes('-') && pendingHosts.size < MAX_PENDING_HOSTS) {
+        pendingHosts.add(el);
+      }
+      // Nothing left to learn from the rest of the subtree
+      if (hasRootHost && pendingHosts.size >= MAX_PENDING_HOSTS) break;
+    }
+
+    if (pendingHosts.size > 0) {
+      hostPass = 0;
+      if (!hostTimer) hostTimer = setTimeout(checkPendingHosts, SHADOW_RECHECK_DELAYS[0]);
+    }
+    return hasRootHost;
+  }
+
+  /**
+   * Scan shadow roots attached since their hosts were seen; keep waiting
+   * on the rest for the remaining delays
+   */
+  function checkPendingHosts() {
+    hostTimer = null;
+    let attached = false;
+    for (const el of pendingHosts) {
+      if (el.shadowRoot) attached = true;
+      if (el.shadowRoot || !el.isConnected) pendingHosts.delete(el);
+    }
+    if (attached) queueNewRoots();
+
+    hostPass++;
+    if (pendingHosts.size > 0 && hostPass < SHADOW_RECHECK_DELAYS.length) {
+      hostTimer = setTimeout(checkPendingHosts, SHADOW_RECHECK_DELAYS[hostPass]);
+    } else {
+      pendingHosts.clear();
+    }
+  }
 
   function startObserver() {
+    if (observer) return;
+
     observer = new MutationObserver((mutations) => {
-      let hasNewLinks = false;
+      const changed = [];
+      const removed = [];
+      let rootsChanged = false;
+      let nodesRemoved = false;
+
       for (const mutation of mutations) {
+        // Reused <a> elements whose href was rewritten
+        if (mutation.type === 'attributes') {
+          if (mutation.target.tagName === 'A') changed.push(mutation.target);
+          continue;
+        }
+
         for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.tagName === 'A' || node.querySelector?.('a[href]')) {
-              hasNewLinks = true;
-              break;
-            }
-          }
+          if (node.nodeType !== Node.ELEMENT_NODE) continue;
+          if (node.tagName === 'A') changed.push(node);
+          changed.push(...node.querySelectorAll('a[href]'));
+          if (scanSubtree(node)) rootsChanged = true;
+        }
+        if (mutation.removedNodes.length > 0) nodesRemoved = true;
+        for (const node of mutation.removedNodes) {
+          if (node.nodeType !== Node.ELEMENT_NODE) continue;
+          if (node.tagName === 'A') removed.push(node);
+          removed.push(...node.querySelectorAll('a[href]'));
         }
-        if (hasNewLinks) break;
       }
 
-      if (hasNewLinks) {
-        debouncedProcessLinks();
+      if (nodesRemoved) {
+        // Forget links that are gone (not just moved elsewhere in the page)
+        for (const anchor of removed) {
+          if (!anchor.isConnected) untrackAnchor(anchor);
+        }
+        if (removed.length > 0) scheduleStats();
+        // Don't leave a tooltip floating over a link that is gone
+        VisitTooltip.hideIfDetached();
       }
+      if (rootsChanged) {
+        queueNewRoots();
+      }
+      queueAnchors(changed);
     });
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    observeRoots();
+  }
+
+  /**
+   * Observe any known root not yet watched by the observer
+   */
+  function observeRoots() {
+    if (!observer) return;
+
+    for (const root of roots) {
+      if (observedRoots.has(root)) continue;
+      observedRoots.add(root);
+      observer.observe(root === document ? document.body : root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['href']
+      });
+    }
   }
 
   function disconnectObserver() {
     if (observer) {
       observer.disconnect();
       observer = null;
+      observedRoots = new WeakSet();
+    }
+    pendingAnchors.clear();
+    pendingHosts.clear();
+    clearTimeout(hostTimer);
+    hostTimer = null;
+  }
+
+  /**
+   * Get the innermost event target, looking through open shadow roots
+   * @param {Event} event
+   * @returns {Element|null}
+   */
+  function getEventTarget(event) {
+    const target = event.composedPath?.()[0] || event.target;
+    return target?.nodeType === Node.ELEMENT_NODE ? target : null;
+  }
+
+  /**
+   * Get the unvisited links of the main document, in document order
+   * @returns {Element[]}
+   */
+  function getUnvisitedAnchors() {
+    if (unvisitedDirty) {
+      unvisitedAnchors = [];
+      for (const [url, anchors] of anchorsByUrl) {
+        if (visitCache.get(url)) continue;
+        for (const el of anchors) {
+          if (isCurrentAnchor(el, url) && el.getRootNode() === document && !el.classList.contains(HIGHLIGHT_CLASS)) {
+            unvisitedAnchors.push(el);
+          }
+        }
+      }
+      unvisitedAnchors.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+      unvisitedDirty = false;
+    }
+    return unvisitedAnchors;
+  }
+
+  /**
+   * Find the next (or previous) visible unvisited link, starting from the
+   * last one navigated to, or from the viewport
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {Element|null}
+   */
+  function findUnvisited(direction) {
+    const candidates = getUnvisitedAnchors().filter(el => el.getClientRects().length > 0);
+    const ordered = direction > 0 ? candidates : candidates.slice().reverse();
+
+    if (cursorAnchor?.isConnected) {
+      const wanted = direction > 0 ? Node.DOCUMENT_POSITION_FOLLOWING : Node.DOCUMENT_POSITION_PRECEDING;
+      return ordered.find(el => cursorAnchor.compareDocumentPosition(el) & wanted) || null;
+    }
+
+    return ordered.find((el) => {
+      const { top } = el.getBoundingClientRect();
+      return direction > 0 ? top >= 0 : top < 0;
+    }) || null;
+  }
+
+  /**
+   * Focus a link, scroll it into view and outline it briefly
+   * @param {Element} anchor
+   */
+  function focusAnchor(anchor) {
+    if (cursorAnchor) cursorAnchor.classList.remove(FOCUS_CLASS);
+    clearTimeout(focusTimer);
+
+    cursorAnchor = anchor;
+    anchor.focus({ preventScroll: true });
+    anchor.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    anchor.classList.add(FOCUS_CLASS);
+    focusTimer = setTimeout(() => anchor.classList.remove(FOCUS_CLASS), FOCUS_OUTLINE_MS);
+  }
+
+  /**
+   * Move focus to the next / previous unvisited link
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {boolean} Whether a link was found
+   */
+  function focusUnvisited(direction) {
+    const anchor = findUnvisited(direction);
+    if (anchor) focusAnchor(anchor);
+    return !!anchor;
+  }
+
+  /**
+   * Pick the next unvisited link for opening in a background tab: focus it
+   * and mark it visited right away
+   * @returns {string|null} URL to open
+   */
+  function takeNextUnvisited() {
+    const anchor = findUnvisited(1);
+    if (!anchor) return null;
+
+    focusAnchor(anchor);
+    const href = getLinkUrl(anchor);
+    markOpened(anchor, href);
+    return href;
+  }
+
+  /**
+   * Mark a link (and every other link to the same URL) visited without
+   * waiting for the history to catch up
+   * @param {Element} anchor
+   * @param {string} href
+   */
+  function markOpened(anchor, href) {
+    const visit = { lastVisitTime: Date.now(), visitCount: 1 };
+    visitCache.set(href, visit);
+    markVisited(anchor, visit);
+
+    // Also mark all other links on the page with the same URL
+    const allAnchors = DomRoots.querySelectorAll(roots, 'a[href]');
+    for (const a of allAnchors) {
+      if (a.href === href && !a.classList.contains(HIGHLIGHT_CLASS) && isInScope(a)) {
+        markVisited(a, visit);
+      }
     }
   }
 
@@ -186,34 +1010,144 @@
    * so the color updates without waiting for a full rescan.
    */
   function handleLinkClick(event) {
-    const anchor = event.target.closest('a[href]');
+    if (currentConfig && (!currentConfig.enabled || !isSiteEnabled(currentConfig))) return;
+
+    const anchor = getEventTarget(event)?.closest('a[href]');
     if (!anchor || anchor.classList.contains(HIGHLIGHT_CLASS)) return;
 
-    const href = anchor.href;
-    if (!href || href.startsWith('javascript:') || href.startsWith('#') ||
-        href.startsWith('chrome://') || href.startsWith('chrome-extension://')) {
-      return;
+    const href = getLinkUrl(anchor);
+    if (!href || !isInScope(anchor)) return;
+
+    markOpened(anchor, href);
+  }
+
+  /**
+   * Show visit details when hovering a highlighted link (if enabled)
+   */
+  function handleLinkHover(event) {
+    reportMenuLink(event);
+    if (!currentConfig?.showTooltip) return;
+
+    const anchor = getEventTarget(event)?.closest(`a.${HIGHLIGHT_CLASS}`);
+    const visit = anchor && visitDetails.get(anchor);
+    if (visit) {
+      VisitTooltip.show(anchor, visit);
     }
+  }
 
-    try {
-      new URL(href);
-    } catch {
-      return;
+  function handleLinkLeave(event) {
+    const anchor = getEventTarget(event)?.closest(`a.${HIGHLIGHT_CLASS}`);
+    if (anchor && !anchor.contains(event.relatedTarget)) {
+      VisitTooltip.hide();
     }
+  }
 
-    // Immediately mark as visited visually
-    anchor.classList.add(HIGHLIGHT_CLASS);
+  /**
+   * Tell the background which link the pointer or focus is on, so the
+   * "Ignore parameter…" menu already lists its query keys when it opens.
+   * Reporting only on right-click is too late: the menu shows first.
+   * @param {Event} event - mouseover, focusin or contextmenu
+   */
+  function reportMenuLink(event) {
+    const anchor = getEventTarget(event)?.closest('a[href]');
+    if (!anchor || anchor.href === menuLinkUrl || !chrome.runtime?.id) return;
+    menuLinkUrl = anchor.href;
 
-    // Also mark all other links on the page with the same URL
-    const allAnchors = document.querySelectorAll('a[href]');
-    for (const a of allAnchors) {
-      if (a.href === href && !a.classList.contains(HIGHLIGHT_CLASS)) {
-        a.classList.add(HIGHLIGHT_CLASS);
-      }
+    chrome.runtime.sendMessage({ action: 'contextLinkChanged', url: anchor.href }).catch(() => {
+      // Background may be restarting; the menu keeps its previous entries
+      menuLinkUrl = null;
+    });
+  }
+
+  /**
+   * Remember the right-clicked link for context menu results
+   */
+  function handleContextMenu(event) {
+    contextAnchor = getEventTarget(event)?.closest('a[href]') || null;
+    reportMenuLink(event);
+  }
+
+  /**
+   * Get a short human-readable title for a link
+   * @param {Element} anchor
+   * @returns {string}
+   */
+  function getLinkTitle(anchor) {
+    const text = anchor.innerText || anchor.textContent || '';
+    const title = text.trim() || anchor.getAttribute('aria-label') || anchor.title ||
+      anchor.querySelector('img[alt]')?.alt || '';
+    return title.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  /**
+   * List the page's in-scope links (one entry per URL, in page order) with
+   * their title and visited status
+   * @returns {Array<{url: string, title: string, visited: boolean}>}
+   */
+  function getLinkList() {
+    syncRoots();
+    const links = [];
+    for (const [url, elements] of collectLinks()) {
+      const titled = elements.find(el => getLinkTitle(el)) || elements[0];
+      links.push({
+        url,
+        title: getLinkTitle(titled),
+        visited: elements.some(el => el.classList.contains(HIGHLIGHT_CLASS))
+      });
+    }
+    return links;
+  }
+
+  /**
+   * Show the "Is this visited?" result next to the link it was asked for
+   * @param {string} url
+   * @param {Object|null} visit
+   * @param {string} normalizedUrl
+   */
+  function showLinkStatus(url, visit, normalizedUrl) {
+    const anchor = contextAnchor?.href === url
+      ? contextAnchor
+      : DomRoots.querySelectorAll(roots, 'a[href]').find(a => a.href === url);
+    if (!anchor) return;
+
+    const info = visit ? { ...visit, normalizedUrl } : { visited: false, normalizedUrl };
+    VisitTooltip.show(anchor, info, 0);
+  }
+
+  /**
+   * Copy text to the clipboard, falling back to execCommand when the
+   * async clipboard API is unavailable (e.g. page lost focus)
+   * @param {string} text
+   */
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+      document.documentElement.appendChild(textarea);
+      textarea.select();
+      document.execCommand('copy');
+      textarea.remove();
     }
   }
 
-  document.addEventListener('click', handleLinkClick, true);
+  /**
+   * Attach click/hover handlers to a document (the page or a frame)
+   * @param {Document} doc
+   */
+  function addLinkListeners(doc) {
+    doc.addEventListener('click', handleLinkClick, true);
+    doc.addEventListener('mouseover', handleLinkHover, true);
+    doc.addEventListener('mouseout', handleLinkLeave, true);
+    doc.addEventListener('focusin', reportMenuLink, true);
+    doc.addEventListener('contextmenu', handleContextMenu, true);
+    doc.addEventListener('mousedown', () => VisitTooltip.hide(), true);
+    doc.addEventListener('scroll', () => VisitTooltip.hide(), { capture: true, passive: true });
+  }
+
+  addLinkListeners(document);
 
   /**
    * Re-scan links when the page becomes visible again (e.g. user switches
@@ -221,28 +1155,85 @@
    */
   document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'visible') {
-      debouncedProcessLinks();
+      debouncedProcessLinks({ recheckUnvisited: true });
     }
   });
 
+  // Back/forward within the page; pushState/replaceState are reported by
+  // the background (routeChanged) since the isolated world can't hook them
+  window.addEventListener('popstate', handleRouteChange);
+
   // Listen for messages from popup/background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'refreshHighlights') {
-      processLinks();
+      // Config changes invalidate the cache; tab switches only need the
+      // unvisited links re-checked
+      processLinks(message.keepCache ? { recheckUnvisited: true } : { reset: true });
       sendResponse({ success: true });
     }
 
-    if (message.action === 'getStats') {
-      const linkMap = collectLinks();
-      const highlighted = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
-      sendResponse({
-        total: linkMap.size,
-        visited: highlighted.length
-      });
+    if (message.action === 'routeChanged') {
+      handleRouteChange();
+      sendResponse({ success: true });
+    }
+
+    if (message.action === 'showLinkStatus') {
+      showLinkStatus(message.url, message.visit, message.normalizedUrl);
+      sendResponse({ success: true });
+    }
+
+    if (message.action === 'copyText') {
+      copyText(message.text);
+      sendResponse({ success: true });
+    }
+
+    if (message.action === 'focusUnvisited') {
+      sendResponse({ found: focusUnvisited(message.direction) });
+    }
+
+    if (message.action === 'openNextUnvisited') {
+      sendResponse({ url: takeNextUnvisited() });
+    }
+
+    if (message.action === 'getLinkList') {
+      sendResponse({ links: getLinkList() });
+    }
+
+    if (message.action === 'getLinkUrls') {
+      syncRoots();
+      sendResponse({ urls: Array.from(collectLinks().keys()) });
+    }
+
+    if (message.action === 'setFilterRevealed') {
+      ItemFilter.setRevealed(message.revealed);
+      sendStats();
+      sendResponse({ hidden: ItemFilter.getCount(), revealed: ItemFilter.isRevealed() });
     }
   });
 
+  /**
+   * Start scanning unless the extension is off for this site. When disabled,
+   * stay idle until a refreshHighlights message re-enables it.
+   */
+  async function init() {
+    try {
+      const config = await chrome.runtime.sendMessage({ action: 'getConfig' });
+      if (config) {
+        currentConfig = config;
+        if (!config.enabled || !isSiteEnabled(config)) return;
+        updateReadingTracker(config);
+      }
+    } catch {
+      // Fall through and let processLinks report errors
+    }
+
+    startObserver();
+    processLinks();
+    for (const root of roots) {
+      scanSubtree(root.nodeType === Node.DOCUMENT_NODE ? root.documentElement : root);
+    }
+  }
+
   // Initialize
-  processLinks();
-  startObserver();
+  init();
 })();
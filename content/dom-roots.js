@@ -0,0 +1,115 @@
+/**
+ * DOM Roots - Helpers for reaching links outside the main document tree
+ * Discovers open shadow roots and same-origin iframe documents (recursively)
+ * so the content script can scan, observe and style them like the page itself.
+ */
+
+const DomRoots = (() => {
+  const STYLE_ATTR = 'data-vlh-styles';
+
+  /**
+   * Get the document a root belongs to
+   * @param {Document|ShadowRoot} root
+   * @returns {Document}
+   */
+  function getDocument(root) {
+    return root.ownerDocument || root;
+  }
+
+  /**
+   * Get the document of a same-origin frame element
+   * @param {Element} frame - <iframe> or <frame>
+   * @returns {Document|null} Null for cross-origin or not-yet-loaded frames
+   */
+  function getFrameDocument(frame) {
+    try {
+      const doc = frame.contentDocument;
+      return doc?.documentElement ? doc : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an element hosts another scannable root
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  function isRootHost(el) {
+    return !!el.shadowRoot || el.tagName === 'IFRAME' || el.tagName === 'FRAME';
+  }
+
+  /**
+   * Collect a root plus every open shadow root and same-origin frame document
+   * nested anywhere beneath it
+   * @param {Document|ShadowRoot} root - Starting root (default: document)
+   * @param {Function} [onFrame] - Called with each frame element found, so
+   *   callers can watch it for later navigations
+   * @returns {Array<Document|ShadowRoot>} Roots in discovery order, starting with root
+   */
+  function collect(root = document, onFrame) {
+    const roots = [root];
+
+    for (let i = 0; i < roots.length; i++) {
+      const current = roots[i];
+      const walker = getDocument(current).createTreeWalker(current, NodeFilter.SHOW_ELEMENT);
+
+      for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+        if (el.shadowRoot) {
+          roots.push(el.shadowRoot);
+        }
+        if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+          if (onFrame) onFrame(el);
+          const frameDoc = getFrameDocument(el);
+          if (frameDoc) roots.push(frameDoc);
+        }
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Run querySelectorAll across several roots
+   * @param {Array<Document|ShadowRoot>} roots
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  function querySelectorAll(roots, selector) {
+    const results = [];
+    for (const root of roots) {
+      results.push(...root.querySelectorAll(selector));
+    }
+    return results;
+  }
+
+  /**
+   * Add a <style> element to a shadow root or frame document (once)
+   * @param {Document|ShadowRoot} root
+   * @param {string} cssText
+   */
+  function injectStyles(root, cssText) {
+    if (root.querySelector(`style[${STYLE_ATTR}]`)) return;
+
+    const doc = getDocument(root);
+    const style = doc.createElement('style');
+    style.setAttribute(STYLE_ATTR, '');
+    style.textContent = cssText;
+
+    const parent = root === doc ? (doc.head || doc.documentElement) : root;
+    parent.appendChild(style);
+  }
+
+  return {
+    getDocument,
+    isRootHost,
+    collect,
+    querySelectorAll,
+    injectStyles
+  };
+})();
+
+// Make available to the content script
+if (typeof globalThis !== 'undefined') {
+  globalThis.DomRoots = DomRoots;
+}
@@ -0,0 +1,129 @@
+/**
+ * Item Filter
+ * Filter mode: collapses or hides the list item (search result, story row,
+ * issue) that encloses a visited link, so listing pages show what's new.
+ */
+
+const ItemFilter = (() => {
+  const COLLAPSED_CLASS = 'vlh-filter-collapsed';
+  const HIDDEN_CLASS = 'vlh-filter-hidden';
+
+  // Heuristic default: the nearest list-like item around the link...
+  const ITEM_SELECTOR = 'li, tr, article, [role="listitem"], [role="row"], [role="article"]';
+  // ...unless it is part of site chrome, where hiding would break navigation
+  const CHROME_SELECTOR = 'nav, header, footer, [role="navigation"], [role="menu"], [role="menubar"], [role="tablist"]';
+
+  let items = new Set();
+  let revealed = false;
+  let currentMode = 'off';
+
+  /**
+   * Find the item to filter for a visited link
+   * @param {Element} anchor
+   * @param {string} selector - Site-specific item selector ('' for the heuristic)
+   * @returns {Element|null}
+   */
+  function findItem(anchor, selector) {
+    if (selector) {
+      try {
+        return anchor.closest(selector);
+      } catch {
+        return null;
+      }
+    }
+
+    const item = anchor.closest(ITEM_SELECTOR);
+    if (!item || item.closest(CHROME_SELECTOR)) return null;
+    return item;
+  }
+
+  /**
+   * Add or remove the filter classes on one item
+   * @param {Element} item
+   * @param {boolean} active
+   */
+  function setItemClass(item, active) {
+    item.classList.toggle(COLLAPSED_CLASS, active && currentMode === 'collapse');
+    item.classList.toggle(HIDDEN_CLASS, active && currentMode === 'hide');
+  }
+
+  /**
+   * Filter the items around the given visited links, restoring items that
+   * no longer contain one
+   * @param {Element[]} visitedAnchors - Currently highlighted links
+   * @param {string} mode - 'off', 'collapse' or 'hide'
+   * @param {string} selector - Site-specific item selector ('' for the heuristic)
+   */
+  function update(visitedAnchors, mode, selector) {
+    currentMode = mode === 'collapse' || mode === 'hide' ? mode : 'off';
+
+    const next = new Set();
+    if (currentMode !== 'off') {
+      for (const anchor of visitedAnchors) {
+        const item = findItem(anchor, selector);
+        if (item) next.add(item);
+      }
+    }
+
+    for (const item of items) {
+      if (!next.has(item)) setItemClass(item, false);
+    }
+    for (const item of next) {
+      setItemClass(item, !revealed);
+    }
+    items = next;
+  }
+
+  /**
+   * Temporarily show (or re-filter) every filtered item on the page
+   * @param {boolean} value
+   */
+  function setRevealed(value) {
+    revealed = !!value;
+    for (const item of items) {
+      setItemClass(item, !revealed);
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether filtered items are currently revealed
+   */
+  function isRevealed() {
+    return revealed;
+  }
+
+  /**
+   * Restore all items (filter mode turned off or extension disabled)
+   */
+  function clear() {
+    for (const item of items) {
+      setItemClass(item, false);
+    }
+    items = new Set();
+  }
+
+  /**
+   * Number of items currently filtered (whether or not revealed)
+   * @returns {number}
+   */
+  function getCount() {
+    let count = 0;
+    for (const item of items) {
+      if (item.isConnected) count++;
+    }
+    return count;
+  }
+
+  return {
+    update,
+    setRevealed,
+    isRevealed,
+    clear,
+    getCount
+  };
+})();
+
+// Make available to the content script
+if (typeof globalThis !== 'undefined') {
+  globalThis.ItemFilter = ItemFilter;
+}
@@ -0,0 +1,178 @@
+/**
+ * Reading Tracker
+ * Measures how far down the page was scrolled and how long it was visible,
+ * and reports both to the background per page URL, so links to the page can
+ * tell "opened" from "read to the end".
+ */
+
+const ReadingTracker = (() => {
+  const REPORT_INTERVAL = 15000;
+  const SCROLL_THROTTLE = 250;
+  // An inner scroller counts as the page only when it fills most of the
+  // viewport and holds most of the page's text
+  const MAIN_SCROLLER_HEIGHT = 0.8;
+  const MAIN_SCROLLER_WIDTH = 0.5;
+  const MAIN_SCROLLER_TEXT = 0.5;
+
+  let active = false;
+  let url = null;
+  // Deepest scroll position (percent of the page) and the part already reported
+  let maxDepth = 0;
+  let reportedDepth = 0;
+  // Visible time not yet reported, and when the page last became visible
+  let unreportedMs = 0;
+  let visibleSince = null;
+  let reportTimer = null;
+  let scrollTimer = null;
+  // Scrolled element -> whether it is the page's main scroller (per URL)
+  let mainScrollers = new WeakMap();
+
+  /**
+   * Whether a scrolled element scrolls the page itself (web apps that keep
+   * the document fixed and scroll an inner container) rather than a sidebar,
+   * dialog, code block or chat panel
+   * @param {EventTarget} [target] - Scrolled node
+   * @returns {boolean}
+   */
+  function isMainScroller(target) {
+    if (target?.nodeType !== Node.ELEMENT_NODE || target === document.scrollingElement) return false;
+    if (!mainScrollers.has(target)) {
+      const pageText = document.body?.textContent.length || 0;
+      mainScrollers.set(target,
+        target.clientHeight >= window.innerHeight * MAIN_SCROLLER_HEIGHT &&
+        target.clientWidth >= window.innerWidth * MAIN_SCROLLER_WIDTH &&
+        target.textContent.length >= pageText * MAIN_SCROLLER_TEXT);
+    }
+    return mainScrollers.get(target);
+  }
+
+  /**
+   * Percent of the page seen so far: the bottom of the viewport relative to
+   * the scrollable height, measured on the document or its main scroller
+   * @param {EventTarget} [target] - Scrolled node
+   * @returns {number} 0-100
+   */
+  function measureDepth(target) {
+    const el = isMainScroller(target)
+      ? target
+      : (document.scrollingElement || document.documentElement);
+    if (!el || el.scrollHeight === 0) return 0;
+    return Math.min(100, Math.round(((el.scrollTop + el.clientHeight) / el.scrollHeight) * 100));
+  }
+
+  /**
+   * Move visible time since the last call into the unreported total
+   */
+  function takeElapsed() {
+    if (visibleSince === null) return;
+    const now = Date.now();
+    unreportedMs += now - visibleSince;
+    visibleSince = now;
+  }
+
+  /**
+   * Send progress made since the last report, if any
+   */
+  function report() {
+    takeElapsed();
+    const seconds = Math.floor(unreportedMs / 1000);
+    if (!url || (seconds === 0 && maxDepth <= reportedDepth)) return;
+
+    unreportedMs -= seconds * 1000;
+    reportedDepth = maxDepth;
+    chrome.runtime.sendMessage({ action: 'recordReading', url, depth: maxDepth, seconds }).catch(() => {
+      // Extension context may be gone, ignore
+    });
+  }
+
+  /**
+   * Start measuring the current URL from scratch
+   */
+  function reset() {
+    url = location.href;
+    mainScrollers = new WeakMap();
+    maxDepth = measureDepth();
+    reportedDepth = 0;
+    unreportedMs = 0;
+    visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  }
+
+  /**
+   * Report the previous page and start over after a client-side route change
+   */
+  function handleUrlChange() {
+    if (!active || location.href === url) return;
+    report();
+    reset();
+  }
+
+  /**
+   * Record the deepest scroll position, at most every SCROLL_THROTTLE ms
+   * @param {Event} event
+   */
+  function handleScroll(event) {
+    if (scrollTimer) return;
+    scrollTimer = setTimeout(() => {
+      scrollTimer = null;
+      maxDepth = Math.max(maxDepth, measureDepth(event.target));
+    }, SCROLL_THROTTLE);
+  }
+
+  /**
+   * Count time only while the page is visible; report when it is hidden
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+      visibleSince = Date.now();
+    } else {
+      report();
+      visibleSince = null;
+    }
+  }
+
+  /**
+   * Start tracking (no-op when already running)
+   */
+  function start() {
+    if (active) return;
+    active = true;
+    reset();
+
+    document.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', report);
+    reportTimer = setInterval(() => {
+      handleUrlChange();
+      report();
+    }, REPORT_INTERVAL);
+  }
+
+  /**
+   * Report what was measured and stop tracking
+   */
+  function stop() {
+    if (!active) return;
+    report();
+    active = false;
+    url = null;
+
+    document.removeEventListener('scroll', handleScroll, { capture: true });
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', report);
+    clearInterval(reportTimer);
+    clearTimeout(scrollTimer);
+    reportTimer = null;
+    scrollTimer = null;
+  }
+
+  return {
+    start,
+    stop,
+    handleUrlChange
+  };
+})();
+
+// Make available to the content script
+if (typeof globalThis !== 'undefined') {
+  globalThis.ReadingTracker = ReadingTracker;
+}
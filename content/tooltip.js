@@ -0,0 +1,242 @@
+/**
+ * Visit Tooltip
+ * Small hover card with visit details for highlighted links.
+ * Rendered inside a closed Shadow DOM so page CSS cannot restyle or break it.
+ */
+
+const VisitTooltip = (() => {
+  const SHOW_DELAY = 400;
+  const OFFSET = 8;
+
+  const STYLES = `
+    .tooltip {
+      position: fixed;
+      max-width: 360px;
+      padding: 8px 10px;
+      background: rgba(26, 26, 46, 0.94);
+      color: #F5F7FA;
+      border-radius: 8px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+      font: 12px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      opacity: 0;
+      transform: translateY(2px);
+      transition: opacity 0.15s ease, transform 0.15s ease;
+      pointer-events: none;
+    }
+    .tooltip.visible {
+      opacity: 1;
+      transform: translateY(0);
+    }
+    .row {
+      display: flex;
+      gap: 6px;
+    }
+    .label {
+      color: #A0AEC0;
+      flex-shrink: 0;
+    }
+    .url {
+      font-family: 'Roboto Mono', ui-monospace, monospace;
+      font-size: 11px;
+      word-break: break-all;
+      color: #C58AF9;
+    }
+  `;
+
+  let host = null;
+  let tooltip = null;
+  let showTimer = null;
+  let currentAnchor = null;
+
+  /**
+   * Create the shadow host on first use (or after the page removed it)
+   */
+  function ensureElement() {
+    if (host?.isConnected) return;
+
+    host = document.createElement('div');
+    host.setAttribute('data-vlh-tooltip', '');
+    host.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483647; pointer-events: none;';
+
+    const shadow = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    tooltip = document.createElement('div');
+    tooltip.className = 'tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    shadow.append(style, tooltip);
+
+    document.documentElement.appendChild(host);
+  }
+
+  /**
+   * Format a timestamp relative to now ("3 days ago")
+   * @param {number} time - Milliseconds since epoch
+   * @returns {string}
+   */
+  function formatRelative(time) {
+    const rtf = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+    const seconds = Math.round((time - Date.now()) / 1000);
+    const units = [
+      ['year', 365 * 24 * 3600],
+      ['month', 30 * 24 * 3600],
+      ['week', 7 * 24 * 3600],
+      ['day', 24 * 3600],
+      ['hour', 3600],
+      ['minute', 60]
+    ];
+
+    for (const [unit, size] of units) {
+      if (Math.abs(seconds) >= size) {
+        return rtf.format(Math.round(seconds / size), unit);
+      }
+    }
+    return rtf.format(0, 'second');
+  }
+
+  /**
+   * Format a reading time ("45 s", "3 min", "1 h 20 min")
+   * @param {number} seconds
+   * @returns {string}
+   */
+  function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds} s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  /**
+   * Append a label/value row
+   * @param {string} label
+   * @param {string} value
+   * @param {string} [valueClass]
+   */
+  function addRow(label, value, valueClass) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    if (valueClass) valueEl.className = valueClass;
+    valueEl.textContent = value;
+    row.append(labelEl, valueEl);
+    tooltip.appendChild(row);
+  }
+
+  /**
+   * Fill the tooltip with visit details
+   * @param {{lastVisitTime: number, visitCount: number, normalizedUrl?: string, manual?: boolean, visited?: boolean, reading?: {depth: number, seconds: number}}} info
+   */
+  function render(info) {
+    tooltip.textContent = '';
+
+    if (info.visited === false) {
+      addRow('Status', 'Not visited');
+    }
+    if (info.lastVisitTime) {
+      const date = new Date(info.lastVisitTime).toLocaleString();
+      addRow('Last visit', `${formatRelative(info.lastVisitTime)} (${date})`);
+    }
+    if (info.visitCount) {
+      addRow('Visits', String(info.visitCount));
+    }
+    if (info.manual) {
+      addRow('Marked', 'Read (manually)');
+    }
+    if (info.reading) {
+      addRow('Read', `${info.reading.depth}% of the page, ${formatDuration(info.reading.seconds)}`);
+    }
+    if (info.normalizedUrl) {
+      addRow('Matched', info.normalizedUrl, 'url');
+    }
+  }
+
+  /**
+   * Get an element's rect in the top window's viewport, adding the offsets
+   * of any same-origin frames it is nested in
+   * @param {Element} el
+   * @returns {{top: number, left: number, bottom: number}}
+   */
+  function getViewportRect(el) {
+    const rect = el.getBoundingClientRect();
+    let { top, left, bottom } = rect;
+
+    let win = el.ownerDocument.defaultView;
+    while (win && win !== window && win.frameElement) {
+      const frameRect = win.frameElement.getBoundingClientRect();
+      top += frameRect.top;
+      bottom += frameRect.top;
+      left += frameRect.left;
+      win = win.parent;
+    }
+
+    return { top, left, bottom };
+  }
+
+  /**
+   * Place the tooltip below the anchor, flipping above when out of room
+   * @param {Element} anchor
+   */
+  function position(anchor) {
+    const rect = getViewportRect(anchor);
+    const { offsetWidth: width, offsetHeight: height } = tooltip;
+
+    let top = rect.bottom + OFFSET;
+    if (top + height > window.innerHeight && rect.top - OFFSET - height > 0) {
+      top = rect.top - OFFSET - height;
+    }
+    const left = Math.max(OFFSET, Math.min(rect.left, window.innerWidth - width - OFFSET));
+
+    tooltip.style.top = `${top}px`;
+    tooltip.style.left = `${left}px`;
+  }
+
+  /**
+   * Show the tooltip for an anchor, by default after a short hover delay
+   * @param {Element} anchor
+   * @param {Object} info - Visit details (see render)
+   * @param {number} [delay] - Milliseconds before showing
+   */
+  function show(anchor, info, delay = SHOW_DELAY) {
+    clearTimeout(showTimer);
+    currentAnchor = anchor;
+    showTimer = setTimeout(() => {
+      if (!anchor.isConnected) return;
+      ensureElement();
+      render(info);
+      position(anchor);
+      tooltip.classList.add('visible');
+    }, delay);
+  }
+
+  /**
+   * Hide the tooltip (and cancel a pending show)
+   */
+  function hide() {
+    clearTimeout(showTimer);
+    currentAnchor = null;
+    tooltip?.classList.remove('visible');
+  }
+
+  /**
+   * Hide the tooltip if the link it belongs to was removed from the page
+   */
+  function hideIfDetached() {
+    if (currentAnchor && !currentAnchor.isConnected) {
+      hide();
+    }
+  }
+
+  return {
+    show,
+    hide,
+    hideIfDetached
+  };
+})();
+
+// Make available to the content script
+if (typeof globalThis !== 'undefined') {
+  globalThis.VisitTooltip = VisitTooltip;
+}
@@ -0,0 +1,289 @@
+/**
+ * Config Transfer
+ * Export of the full settings as a versioned JSON file, and validation and
+ * merging of such files on import, so a team can share one set of rules.
+ */
+
+const ConfigTransfer = (() => {
+  const FORMAT = 'visited-link-highlighter-settings';
+  const FILE_NAME = 'visited-link-settings.json';
+
+  const COLOR_RE = /^#[0-9a-f]{6}$/i;
+  const MAX_VALUE_LENGTH = 60;
+
+  /**
+   * @param {*} value
+   * @returns {boolean} Whether the value is a plain (JSON) object
+   */
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Check whether a string is a valid CSS selector
+   * @param {string} selector
+   * @returns {boolean}
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Short JSON rendering of an offending value for error messages
+   * @param {*} value
+   * @returns {string}
+   */
+  function describe(value) {
+    const json = value === undefined ? 'nothing' : JSON.stringify(value);
+    return json.length > MAX_VALUE_LENGTH ? json.slice(0, MAX_VALUE_LENGTH - 1) + '…' : json;
+  }
+
+  // Validators: value -> [{path, message, value}] (empty when valid)
+
+  /**
+   * @param {Function} test - (value) => boolean
+   * @param {string} message - Reported when the test fails
+   * @returns {Function} Validator
+   */
+  function leaf(test, message) {
+    return value => (test(value) ? [] : [{ path: '', message, value }]);
+  }
+
+  /**
+   * Prefix the paths of nested validation errors
+   * @param {string} path
+   * @param {Array<{path: string, message: string, value: *}>} errors
+   * @returns {Array<{path: string, message: string, value: *}>}
+   */
+  function within(path, errors) {
+    return errors.map(error => ({ ...error, path: path + error.path }));
+  }
+
+  /**
+   * @param {Function} item - Validator for each entry
+   * @returns {Function} Validator for a list
+   */
+  function listOf(item) {
+    return (value) => {
+      if (!Array.isArray(value)) return [{ path: '', message: 'must be a list', value }];
+      return value.flatMap((entry, i) => within(`[${i}]`, item(entry)));
+    };
+  }
+
+  /**
+   * @param {Function} key - Validator for each key
+   * @param {Function} item - Validator for each value
+   * @returns {Function} Validator for an object used as a map
+   */
+  function mapOf(key, item) {
+    return (value) => {
+      if (!isPlainObject(value)) return [{ path: '', message: 'must be an object', value }];
+      return Object.entries(value).flatMap(([name, entry]) =>
+        within(`[${JSON.stringify(name)}]`, [...key(name), ...item(entry)]));
+    };
+  }
+
+  /**
+   * @param {Object<string, Function>} fields - Validator per field
+   * @returns {Function} Validator for an object with known fields
+   */
+  function recordOf(fields) {
+    return (value) => {
+      if (!isPlainObject(value)) return [{ path: '', message: 'must be an object', value }];
+      return Object.entries(fields).flatMap(([name, field]) => within(`.${name}`, field(value[name])));
+    };
+  }
+
+  /**
+   * @param {Array} values - Allowed values
+   * @returns {Function} Validator
+   */
+  function oneOf(values) {
+    return leaf(value => values.includes(value), `must be one of: ${values.join(', ')}`);
+  }
+
+  const string = leaf(value => typeof value === 'string', 'must be text');
+  const paramPattern = leaf(value => typeof value === 'string' && UrlNormalizer.isValidParamPattern(value),
+    'is not a valid parameter pattern');
+  const hostPattern = leaf(value => typeof value === 'string' && HostPattern.isValid(value),
+    'is not a valid host pattern');
+  const hostName = leaf(value => typeof value === 'string' && !value.includes('*') && HostPattern.isValid(value),
+    'is not a valid host name');
+  const regex = leaf(value => typeof value === 'string' && value.length > 0 && UrlNormalizer.isValidRegex(value),
+    'is not a valid regular expression');
+  const selector = leaf(value => typeof value === 'string' && isValidSelector(value), 'is not a valid CSS selector');
+  const color = leaf(value => typeof value === 'string' && COLOR_RE.test(value), 'must be a #RRGGBB color');
+  const opacity = leaf(value => typeof value === 'number' && value >= 0 && value <= 1, 'must be a number from 0 to 1');
+
+  // Settings with more structure than "same type as the default"
+  const RULE_VALIDATORS = {
+    ignoreParams: listOf(paramPattern),
+    ignorePresets: listOf(oneOf(UrlNormalizer.PARAM_PRESETS.map(preset => preset.id))),
+    siteIgnoreParams: mapOf(hostPattern, listOf(paramPattern)),
+    hostAliases: mapOf(hostPattern, hostName),
+    pathRewrites: listOf(recordOf({
+      host: hostPattern,
+      pattern: regex,
+      replacement: value => (value === undefined ? [] : string(value))
+    })),
+    redirectWrappers: listOf(recordOf({
+      host: hostPattern,
+      path: leaf(value => typeof value === 'string' && value.startsWith('/'), 'must start with "/"'),
+      params: leaf(value => Array.isArray(value) && value.length > 0 && value.every(p => typeof p === 'string'),
+        'must be a non-empty list of parameter names')
+    })),
+    siteList: listOf(hostPattern),
+    siteMode: oneOf(['block', 'allow']),
+    filterMode: oneOf(['off', 'collapse', 'hide']),
+    filterContainers: mapOf(hostPattern, selector),
+    siteIncludeSelectors: mapOf(hostPattern, listOf(selector)),
+    siteExcludeSelectors: mapOf(hostPattern, listOf(selector)),
+    underlineStyle: oneOf(HighlightStyle.UNDERLINE_STYLES),
+    dimOpacity: opacity,
+    badgeMode: oneOf(['off', 'count', 'percent']),
+    readThreshold: oneOf([50, 75, 90, 100]),
+    readMinSeconds: oneOf([0, 10, 30, 60, 180]),
+    historyDays: leaf(value => Number.isInteger(value) && value >= 0 && value <= VisitFilter.MAX_DAYS,
+      `must be a whole number of days from 0 to ${VisitFilter.MAX_DAYS}`),
+    ignoredTransitions: listOf(oneOf(VisitFilter.TRANSITIONS.map(transition => transition.id)))
+  };
+
+  /**
+   * Pick the validator for a setting
+   * @param {string} key
+   * @param {*} reference - Current (or default) value, for its type
+   * @returns {Function} Validator
+   */
+  function getValidator(key, reference) {
+    if (RULE_VALIDATORS[key]) return RULE_VALIDATORS[key];
+    if (key.endsWith('Color')) return color;
+    if (Array.isArray(reference)) return leaf(Array.isArray, 'must be a list');
+    if (isPlainObject(reference)) return leaf(isPlainObject, 'must be an object');
+    return leaf(value => typeof value === typeof reference, `must be a ${typeof reference}`);
+  }
+
+  /**
+   * Wrap the full settings in a versioned export document
+   * @param {Object} config
+   * @returns {string} Pretty-printed JSON
+   */
+  function serialize(config) {
+    return JSON.stringify({
+      format: FORMAT,
+      version: ConfigStore.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      config
+    }, null, 2);
+  }
+
+  /**
+   * Parse and validate an exported settings file
+   * @param {string} text - File contents
+   * @param {Object} reference - Current full settings; decides which keys are known and their types
+   * @returns {{config: Object|null, errors: string[], warnings: string[]}}
+   *   Known, valid settings (null if there are errors), error and warning messages
+   */
+  function parse(text, reference) {
+    const fail = message => ({ config: null, errors: [message], warnings: [] });
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return fail(`The file is not valid JSON (${e.message})`);
+    }
+
+    if (!isPlainObject(data) || data.format !== FORMAT) {
+      return fail('The file is not a Visited Link Highlighter settings export');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      return fail('The file has no valid schema version');
+    }
+    if (data.version > ConfigStore.SCHEMA_VERSION) {
+      return fail(`The file uses schema version ${data.version}, but this version of the extension reads up to ${ConfigStore.SCHEMA_VERSION}; update the extension first`);
+    }
+    if (!isPlainObject(data.config)) {
+      return fail('The file has no "config" object');
+    }
+
+    const config = {};
+    const errors = [];
+    const warnings = [];
+    // Files from older versions go through the same migrations as stored settings
+    const settings = ConfigStore.upgrade(data.config, data.version);
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in reference)) {
+        warnings.push(`Unknown setting "${key}" was skipped`);
+        continue;
+      }
+      const keyErrors = getValidator(key, reference[key])(value);
+      if (keyErrors.length > 0) {
+        errors.push(...keyErrors.map(error => `${key}${error.path} ${error.message} (found ${describe(error.value)})`));
+      } else {
+        config[key] = value;
+      }
+    }
+
+    return { config: errors.length > 0 ? null : config, errors, warnings };
+  }
+
+  /**
+   * Combine two values of a rule list: entries of both, without duplicates.
+   * Maps merge per key (lists under the same key are combined too).
+   * @param {*} existing
+   * @param {*} incoming
+   * @returns {*}
+   */
+  function mergeValue(existing, incoming) {
+    if (Array.isArray(existing) && Array.isArray(incoming)) {
+      const seen = new Set();
+      return [...existing, ...incoming].filter((entry) => {
+        const id = JSON.stringify(entry);
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+    }
+    if (isPlainObject(existing) && isPlainObject(incoming)) {
+      const merged = { ...existing };
+      for (const [key, value] of Object.entries(incoming)) {
+        merged[key] = key in existing ? mergeValue(existing[key], value) : value;
+      }
+      return merged;
+    }
+    return incoming;
+  }
+
+  /**
+   * Work out the settings to store for an import
+   * @param {Object} current - Current full settings
+   * @param {Object} imported - Validated settings from parse
+   * @param {string} mode - 'merge' keeps current rule list entries and adds the imported ones,
+   *   'replace' takes the imported lists as they are; other settings are always taken from the file
+   * @returns {Object} Changes for ConfigStore.save
+   */
+  function applyImport(current, imported, mode) {
+    const changes = {};
+    for (const [key, value] of Object.entries(imported)) {
+      changes[key] = mode === 'merge' ? mergeValue(current[key], value) : value;
+    }
+    return changes;
+  }
+
+  return {
+    FILE_NAME,
+    serialize,
+    parse,
+    applyImport
+  };
+})();
+
+// Make available to the options page
+if (typeof globalThis !== 'undefined') {
+  globalThis.ConfigTransfer = ConfigTransfer;
+}
@@ -0,0 +1,561 @@
+/**
+ * Options Page Logic
+ * URL match tester (normalization steps, resulting key, closest history
+ * entries), the visit filters (time window, counted visit types), the
+ * advanced rule editors (host aliases, path rewrites and custom redirect
+ * wrappers) and settings import / export
+ */
+
+// DOM Elements
+const testUrlInput = document.getElementById('testUrlInput');
+const testOutput = document.getElementById('testOutput');
+const testVerdict = document.getElementById('testVerdict');
+const stepList = document.getElementById('stepList');
+const testKey = document.getElementById('testKey');
+const testParams = document.getElementById('testParams');
+const historyEmptyHint = document.getElementById('historyEmptyHint');
+const historyList = document.getElementById('historyList');
+const historyDaysInput = document.getElementById('historyDaysInput');
+const transitionList = document.getElementById('transitionList');
+const aliasTagsContainer = document.getElementById('aliasTagsContainer');
+const aliasEmptyHint = document.getElementById('aliasEmptyHint');
+const aliasFromInput = document.getElementById('aliasFromInput');
+const aliasToInput = document.getElementById('aliasToInput');
+const addAliasBtn = document.getElementById('addAliasBtn');
+const rewriteTagsContainer = document.getElementById('rewriteTagsContainer');
+const rewriteEmptyHint = document.getElementById('rewriteEmptyHint');
+const rewriteHostInput = document.getElementById('rewriteHostInput');
+const rewritePatternInput = document.getElementById('rewritePatternInput');
+const rewriteReplacementInput = document.getElementById('rewriteReplacementInput');
+const addRewriteBtn = document.getElementById('addRewriteBtn');
+const wrapperTagsContainer = document.getElementById('wrapperTagsContainer');
+const wrapperEmptyHint = document.getElementById('wrapperEmptyHint');
+const wrapperHostInput = document.getElementById('wrapperHostInput');
+const wrapperPathInput = document.getElementById('wrapperPathInput');
+const wrapperParamInput = document.getElementById('wrapperParamInput');
+const addWrapperBtn = document.getElementById('addWrapperBtn');
+const importModeSelect = document.getElementById('importModeSelect');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFileInput');
+const transferStatus = document.getElementById('transferStatus');
+const transferSummary = document.getElementById('transferSummary');
+const transferMessages = document.getElementById('transferMessages');
+
+const DEBOUNCE_DELAY = 300;
+// History entries fetched for the tested URL's site, and how many are shown
+const HISTORY_SEARCH_LIMIT = 1000;
+const MAX_HISTORY_MATCHES = 5;
+// How long an exported file's blob URL stays valid for the download to start
+const EXPORT_URL_LIFETIME = 10000;
+
+// Full configuration, merged with defaults
+let currentConfig = null;
+
+let testTimer = null;
+// Incremented per test so a slow earlier run never overwrites a newer one
+let testRun = 0;
+
+/**
+ * Load the configuration (with defaults) from storage
+ */
+async function loadConfig() {
+  currentConfig = await ConfigStore.load();
+  renderRules();
+}
+
+/**
+ * Save changed keys to storage and notify background.
+ * The tester re-runs from the storage change listener.
+ * @param {Object} changes
+ */
+async function saveConfig(changes) {
+  Object.assign(currentConfig, changes);
+  await ConfigStore.save(changes);
+  chrome.runtime.sendMessage({ action: 'configUpdated' });
+}
+
+/**
+ * Render all rule editors
+ */
+function renderRules() {
+  renderVisitFilters();
+  renderAliasTags();
+  renderRewriteTags();
+  renderWrapperTags();
+}
+
+/**
+ * Render the time window and one checkbox per visit type
+ */
+function renderVisitFilters() {
+  historyDaysInput.value = currentConfig.historyDays;
+  historyDaysInput.classList.remove('invalid');
+
+  const ignored = new Set(currentConfig.ignoredTransitions);
+  transitionList.textContent = '';
+  for (const transition of VisitFilter.TRANSITIONS) {
+    const label = createElement('label', 'transition-item');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = transition.id;
+    checkbox.checked = !ignored.has(transition.id);
+    checkbox.addEventListener('change', saveTransitions);
+    label.append(checkbox, transition.label);
+    transitionList.appendChild(label);
+  }
+}
+
+/**
+ * Save the time window from its input, if it is a valid number of days
+ */
+function saveHistoryDays() {
+  const days = Number(historyDaysInput.value);
+  const valid = historyDaysInput.value !== '' && Number.isInteger(days) && days >= 0 && days <= VisitFilter.MAX_DAYS;
+  historyDaysInput.classList.toggle('invalid', !valid);
+  if (valid && days !== currentConfig.historyDays) {
+    saveConfig({ historyDays: days });
+  }
+}
+
+/**
+ * Save the unchecked visit types as ignored
+ */
+function saveTransitions() {
+  const ignoredTransitions = Array.from(transitionList.querySelectorAll('input:not(:checked)'), input => input.value);
+  saveConfig({ ignoredTransitions });
+}
+
+/**
+ * Render host alias tags ("from → to")
+ */
+function renderAliasTags() {
+  const aliases = Object.entries(currentConfig.hostAliases || {});
+  const labels = aliases.map(([from, to]) => `${from} → ${to}`);
+  TagList.render(aliasTagsContainer, aliasEmptyHint, labels, (indexToRemove) => {
+    const hostAliases = { ...currentConfig.hostAliases };
+    delete hostAliases[aliases[indexToRemove][0]];
+    saveConfig({ hostAliases });
+    renderAliasTags();
+  });
+}
+
+/**
+ * Render path rewrite tags ("host: pattern → replacement")
+ */
+function renderRewriteTags() {
+  const rewrites = currentConfig.pathRewrites || [];
+  const labels = rewrites.map(r => `${r.host}: ${r.pattern} → ${r.replacement || '(empty)'}`);
+  TagList.render(rewriteTagsContainer, rewriteEmptyHint, labels, (indexToRemove) => {
+    saveConfig({ pathRewrites: rewrites.filter((_, i) => i !== indexToRemove) });
+    renderRewriteTags();
+  });
+}
+
+/**
+ * Render custom redirect wrapper tags ("host/path ?param")
+ */
+function renderWrapperTags() {
+  const wrappers = currentConfig.redirectWrappers || [];
+  const labels = wrappers.map(w => `${w.host}${w.path} ?${w.params.join('|')}`);
+  TagList.render(wrapperTagsContainer, wrapperEmptyHint, labels, (indexToRemove) => {
+    saveConfig({ redirectWrappers: wrappers.filter((_, i) => i !== indexToRemove) });
+    renderWrapperTags();
+  });
+}
+
+/**
+ * Add a host alias from the alias inputs
+ */
+function addAlias() {
+  const from = HostPattern.normalize(aliasFromInput.value);
+  const to = HostPattern.normalize(aliasToInput.value);
+  const fromValid = from && from !== HostPattern.GLOBAL && HostPattern.isValid(from);
+  const toValid = to && !to.includes('*') && HostPattern.isValid(to);
+
+  aliasFromInput.classList.toggle('invalid', !fromValid);
+  aliasToInput.classList.toggle('invalid', !toValid);
+  if (!fromValid || !toValid || from === to) return;
+
+  saveConfig({ hostAliases: { ...currentConfig.hostAliases, [from]: to } });
+  renderAliasTags();
+
+  aliasFromInput.value = '';
+  aliasToInput.value = '';
+  aliasFromInput.focus();
+}
+
+/**
+ * Add a regex path rewrite from the rewrite inputs
+ */
+function addRewrite() {
+  const host = HostPattern.normalize(rewriteHostInput.value) || HostPattern.GLOBAL;
+  const pattern = rewritePatternInput.value.trim();
+  const replacement = rewriteReplacementInput.value.trim();
+  const hostValid = HostPattern.isValid(host);
+  const patternValid = pattern.length > 0 && UrlNormalizer.isValidRegex(pattern);
+
+  rewriteHostInput.classList.toggle('invalid', !hostValid);
+  rewritePatternInput.classList.toggle('invalid', !patternValid);
+  if (!hostValid || !patternValid) return;
+
+  saveConfig({ pathRewrites: [...(currentConfig.pathRewrites || []), { host, pattern, replacement }] });
+  renderRewriteTags();
+
+  rewritePatternInput.value = '';
+  rewriteReplacementInput.value = '';
+  rewritePatternInput.focus();
+}
+
+/**
+ * Add a custom redirect wrapper from the wrapper inputs
+ */
+function addWrapper() {
+  const host = HostPattern.normalize(wrapperHostInput.value);
+  let path = wrapperPathInput.value.trim() || '/*';
+  if (!path.startsWith('/')) path = '/' + path;
+  const params = TagList.parseInput(wrapperParamInput.value);
+  const hostValid = host && host !== HostPattern.GLOBAL && HostPattern.isValid(host);
+
+  wrapperHostInput.classList.toggle('invalid', !hostValid);
+  wrapperParamInput.classList.toggle('invalid', params.length === 0);
+  if (!hostValid || params.length === 0) return;
+
+  saveConfig({ redirectWrappers: [...(currentConfig.redirectWrappers || []), { host, path, params }] });
+  renderWrapperTags();
+
+  wrapperHostInput.value = '';
+  wrapperPathInput.value = '';
+  wrapperParamInput.value = '';
+  wrapperHostInput.focus();
+}
+
+/**
+ * Measure the common prefix and suffix of two strings (not overlapping)
+ * @param {string} a
+ * @param {string} b
+ * @returns {{prefix: number, suffix: number}}
+ */
+function commonEnds(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  return { prefix, suffix };
+}
+
+/**
+ * Append text to an element, highlighting the part that differs from another
+ * string (everything between their common prefix and common suffix)
+ * @param {Element} el
+ * @param {string} text
+ * @param {string|null} other - String to compare against, or null for no highlight
+ */
+function appendDiff(el, text, other) {
+  if (other === null || other === text) {
+    el.append(text);
+    return;
+  }
+
+  const { prefix, suffix } = commonEnds(text, other);
+  const mark = document.createElement('mark');
+  mark.className = 'diff';
+  mark.textContent = text.slice(prefix, text.length - suffix);
+  el.append(text.slice(0, prefix), mark, text.slice(text.length - suffix));
+}
+
+/**
+ * How alike two keys are: length of their common prefix plus common suffix
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  const { prefix, suffix } = commonEnds(a, b);
+  return prefix + suffix;
+}
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag
+ * @param {string} className
+ * @param {string} text
+ * @returns {Element}
+ */
+function createElement(tag, className, text = '') {
+  const el = document.createElement(tag);
+  el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Describe the lookup result the highlighter would use
+ * @param {Object|null} visit - From the service worker's diagnoseUrl
+ */
+function renderVerdict(visit) {
+  testVerdict.classList.toggle('visited', !!visit);
+  if (!visit && VisitFilter.isActive(currentConfig)) {
+    testVerdict.textContent = 'Not visited — no history entry normalizes to this key with a visit that counts (see What Counts as Visited)';
+  } else if (!visit) {
+    testVerdict.textContent = 'Not visited — no history entry normalizes to this key';
+  } else if (visit.manual) {
+    testVerdict.textContent = 'Visited — marked read manually';
+  } else {
+    // No count when only the time window applies (the index's count is all-time)
+    const visits = !visit.visitCount ? '' : visit.visitCount === 1 ? '1 visit, ' : `${visit.visitCount} visits, `;
+    testVerdict.textContent = `Visited — ${visits}last ${new Date(visit.lastVisitTime).toLocaleString()}`;
+  }
+}
+
+/**
+ * Say that the service worker couldn't look the URL up
+ * @param {string} error
+ */
+function renderLookupError(error) {
+  testVerdict.classList.remove('visited');
+  testVerdict.textContent = `Couldn't check history for this link — ${error}`;
+}
+
+/**
+ * List the normalization steps, highlighting what each one changed
+ * @param {Array<{label: string, url: string, detail: string}>} steps
+ */
+function renderSteps(steps) {
+  stepList.innerHTML = '';
+  steps.forEach((step, index) => {
+    const item = createElement('li', 'step-item');
+    const label = createElement('div', 'step-label', step.label);
+    if (step.detail) {
+      label.appendChild(createElement('span', 'step-detail', step.detail));
+    }
+    const url = createElement('div', 'step-url');
+    appendDiff(url, step.url, index > 0 ? steps[index - 1].url : null);
+    item.append(label, url);
+    stepList.appendChild(item);
+  });
+}
+
+/**
+ * Find history entries on the tested URL's site whose keys come closest
+ * @param {string} target - Tested URL after unwrapping and learned redirects
+ * @param {string} key - Its normalized key
+ * @returns {Promise<Array<{url: string, key: string, lastVisitTime: number}>>} Closest first
+ */
+async function findClosestHistory(target, key) {
+  const host = (UrlNormalizer.extractDomain(target) || '').replace(/^www\./, '');
+  if (!host) return [];
+
+  const items = await chrome.history.search({ text: host, startTime: 0, maxResults: HISTORY_SEARCH_LIMIT });
+  const normalize = UrlNormalizer.createNormalizer(currentConfig);
+  const entries = [];
+  for (const item of items) {
+    const domain = UrlNormalizer.extractDomain(item.url);
+    if (!domain || (domain !== host && !domain.endsWith('.' + host))) continue;
+    entries.push({ url: item.url, key: normalize(item.url), lastVisitTime: item.lastVisitTime });
+  }
+
+  entries.sort((a, b) => similarity(b.key, key) - similarity(a.key, key));
+  return entries.slice(0, MAX_HISTORY_MATCHES);
+}
+
+/**
+ * Show the closest history entries with the part of their key that differs
+ * @param {Array<Object>} entries - From findClosestHistory
+ * @param {string} key - Tested key
+ */
+function renderHistory(entries, key) {
+  historyList.innerHTML = '';
+  historyEmptyHint.style.display = entries.length === 0 ? 'block' : 'none';
+
+  for (const entry of entries) {
+    const sameKey = entry.key === key;
+    const item = createElement('li', sameKey ? 'history-item same-key' : 'history-item');
+    const keyLine = createElement('div', 'history-key');
+    appendDiff(keyLine, entry.key, key);
+    const meta = sameKey ? 'Same key — this entry matches' : 'Differs where highlighted';
+    item.append(
+      keyLine,
+      createElement('div', 'history-url', entry.url),
+      createElement('div', 'history-meta', `${meta} · ${new Date(entry.lastVisitTime).toLocaleString()}`)
+    );
+    historyList.appendChild(item);
+  }
+}
+
+/**
+ * Run the tester on the URL in the input
+ */
+async function runTest() {
+  const run = ++testRun;
+  const url = testUrlInput.value.trim();
+  testUrlInput.classList.toggle('invalid', url !== '' && !UrlNormalizer.isValidHttpUrl(url));
+  if (!url || !UrlNormalizer.isValidHttpUrl(url) || !currentConfig) {
+    testOutput.hidden = true;
+    return;
+  }
+
+  // The normalization steps don't need the service worker; show them even
+  // when the lookup fails
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'diagnoseUrl', url });
+  } catch (error) {
+    response = { error: error.message };
+  }
+  const { redirectedTo = null, visit = null, error = null } = response || { error: 'no response from the background' };
+  const result = UrlNormalizer.explainUrl(redirectedTo || url, currentConfig);
+  if (redirectedTo) {
+    result.steps[0] = { label: 'Learned short link', url: redirectedTo, detail: 'Seen redirecting here' };
+    result.steps.unshift({ label: 'Original', url, detail: '' });
+  }
+
+  const target = UrlNormalizer.unwrapUrl(redirectedTo || url, UrlNormalizer.getRedirectWrappers(currentConfig));
+  const entries = await findClosestHistory(target, result.key);
+  if (run !== testRun) return;
+
+  if (error) {
+    renderLookupError(error);
+  } else {
+    renderVerdict(visit);
+  }
+  renderSteps(result.steps);
+  testKey.textContent = result.key;
+  testParams.textContent = result.ignoreParams.length > 0
+    ? `Ignored parameters for this host: ${result.ignoreParams.join(', ')}`
+    : 'No ignored parameters apply to this host';
+  renderHistory(entries, result.key);
+  testOutput.hidden = false;
+}
+
+/**
+ * Re-run the tester shortly after the last change
+ */
+function scheduleTest() {
+  clearTimeout(testTimer);
+  testTimer = setTimeout(runTest, DEBOUNCE_DELAY);
+}
+
+/**
+ * Download all settings as a versioned JSON file
+ */
+function exportSettings() {
+  const blob = new Blob([ConfigTransfer.serialize(currentConfig)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = ConfigTransfer.FILE_NAME;
+  link.click();
+  // The download starts asynchronously; revoking right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(link.href), EXPORT_URL_LIFETIME);
+}
+
+/**
+ * Show the outcome of an import
+ * @param {string} summary
+ * @param {string[]} messages - Validation errors or warnings
+ * @param {boolean} isError
+ */
+function showTransferStatus(summary, messages, isError) {
+  transferStatus.hidden = false;
+  transferStatus.classList.toggle('error', isError);
+  transferSummary.textContent = summary;
+  transferMessages.innerHTML = '';
+  for (const message of messages) {
+    transferMessages.appendChild(createElement('li', '', message));
+  }
+}
+
+/**
+ * Validate the chosen settings file and store it. Nothing is changed if
+ * any setting in the file is invalid.
+ * @param {File} file
+ */
+async function importSettings(file) {
+  const { config, errors, warnings } = ConfigTransfer.parse(await file.text(), currentConfig);
+  if (!config) {
+    const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+    showTransferStatus(`Nothing was imported: ${file.name} has ${count}`, errors, true);
+    return;
+  }
+
+  const changes = ConfigTransfer.applyImport(currentConfig, config, importModeSelect.value);
+  try {
+    await saveConfig(changes);
+  } catch (error) {
+    console.error('[Visited Link] Error importing settings:', error);
+    // Show the settings that are actually stored again
+    await loadConfig();
+    showTransferStatus(`Nothing was imported: the settings could not be saved (${error.message})`, [], true);
+    return;
+  }
+  renderRules();
+
+  const count = Object.keys(changes).length;
+  const mode = importModeSelect.value === 'merge' ? 'rule lists merged' : 'rule lists replaced';
+  showTransferStatus(`Imported ${count} ${count === 1 ? 'setting' : 'settings'} from ${file.name} (${mode})`, warnings, false);
+}
+
+// Event Listeners
+testUrlInput.addEventListener('input', scheduleTest);
+
+historyDaysInput.addEventListener('change', saveHistoryDays);
+
+historyDaysInput.addEventListener('input', () => {
+  historyDaysInput.classList.remove('invalid');
+});
+
+addAliasBtn.addEventListener('click', addAlias);
+
+addRewriteBtn.addEventListener('click', addRewrite);
+
+addWrapperBtn.addEventListener('click', addWrapper);
+
+for (const input of [aliasFromInput, aliasToInput, rewriteHostInput, rewritePatternInput,
+  rewriteReplacementInput, wrapperHostInput, wrapperParamInput]) {
+  input.addEventListener('input', () => {
+    input.classList.remove('invalid');
+  });
+}
+
+aliasToInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addAlias();
+  }
+});
+
+rewriteReplacementInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addRewrite();
+  }
+});
+
+wrapperParamInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addWrapper();
+  }
+});
+
+exportBtn.addEventListener('click', exportSettings);
+
+importBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', () => {
+  const [file] = importFileInput.files;
+  // Allow choosing the same file again
+  importFileInput.value = '';
+  if (file) importSettings(file);
+});
+
+// Settings changed elsewhere (popup, context menu) affect the tester too
+ConfigStore.onChanged(() => {
+  loadConfig().then(runTest);
+});
+
+// Initialize: the popup passes the URL to diagnose as ?url=
+testUrlInput.value = new URLSearchParams(location.search).get('url') || '';
+loadConfig().then(runTest);
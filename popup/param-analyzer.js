@@ -0,0 +1,131 @@
+/**
+ * Param Analyzer
+ * Suggests query parameters to ignore for the current page: keys whose value
+ * varies while the rest of the URL stays the same, and keys that look like
+ * tracking IDs. Each suggestion counts how many more page links would match
+ * history if the key were ignored.
+ */
+
+const ParamAnalyzer = (() => {
+  const MAX_SUGGESTIONS = 10;
+
+  // Key names commonly used for tracking / attribution
+  const TRACKING_KEY_RE = /^(utm_|_ga|ga_|_gl$|gclid|dclid|fbclid|msclkid|yclid|twclid|igsh|mc_|_hs|mkt_|trk|tracking|campaign|clickid|click_id|ref$|ref_|referrer|source$|src$|spm$|from$|share|si$|sessionid|sid$)/i;
+  // Values that look machine-generated: long runs mixing letters and digits
+  const TRACKING_VALUE_RE = /^(?=.*\d)(?=.*[a-z])[\w-]{16,}$/i;
+
+  /**
+   * Get the query keys and values of a URL
+   * @param {string} url
+   * @returns {URLSearchParams|null}
+   */
+  function getParams(url) {
+    try {
+      return new URL(url).searchParams;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a key (or one of its values) looks like tracking
+   * @param {string} key
+   * @param {string[]} values
+   * @returns {boolean}
+   */
+  function looksLikeTracking(key, values) {
+    return TRACKING_KEY_RE.test(key) || values.some(value => TRACKING_VALUE_RE.test(value));
+  }
+
+  /**
+   * Analyze page links against history
+   * @param {string[]} pageUrls - Link URLs on the page
+   * @param {string[]} historyUrls - History URLs for the page's link hosts
+   * @param {Function} normalize - Current normalizer ((url) => key)
+   * @param {boolean} ignoreHash - Current hash setting, for re-normalizing keys
+   * @returns {Array<{key: string, varies: number, tracking: boolean, extraMatches: number,
+   *   example: {before: string, after: string}}>} Best suggestions first
+   */
+  function analyze(pageUrls, historyUrls, normalize, ignoreHash) {
+    // Drop one more key from an already normalized URL
+    const strip = (normalized, key) => UrlNormalizer.normalizeUrl(normalized, [key], ignoreHash);
+
+    const pageKeys = [...new Set(pageUrls.filter(UrlNormalizer.isValidHttpUrl).map(normalize))];
+    const historyKeys = new Set(historyUrls.filter(UrlNormalizer.isValidHttpUrl).map(normalize));
+
+    // Query key -> page keys containing it, and the values seen
+    const candidates = new Map();
+    for (const pageKey of pageKeys) {
+      const params = getParams(pageKey);
+      if (!params) continue;
+      for (const [key, value] of params) {
+        if (!candidates.has(key)) {
+          candidates.set(key, { urls: [], values: new Set() });
+        }
+        const candidate = candidates.get(key);
+        candidate.urls.push(pageKey);
+        candidate.values.add(value);
+      }
+    }
+
+    const suggestions = [];
+    for (const [key, { urls, values }] of candidates) {
+      // Group page and history URLs by "everything except this key"
+      const groups = new Map();
+      const strippedHistory = new Set();
+      for (const historyKey of historyKeys) {
+        if (!getParams(historyKey)?.has(key)) {
+          strippedHistory.add(historyKey);
+          continue;
+        }
+        const stripped = strip(historyKey, key);
+        strippedHistory.add(stripped);
+        if (!groups.has(stripped)) groups.set(stripped, new Set());
+        groups.get(stripped).add(historyKey);
+      }
+
+      let extraMatches = 0;
+      let example = null;
+      for (const url of urls) {
+        const stripped = strip(url, key);
+        if (!groups.has(stripped)) groups.set(stripped, new Set());
+        groups.get(stripped).add(url);
+
+        if (!historyKeys.has(url) && strippedHistory.has(stripped)) {
+          extraMatches++;
+          if (!example) example = { before: url, after: stripped };
+        }
+      }
+
+      let varies = 0;
+      for (const group of groups.values()) {
+        if (group.size > 1) varies++;
+      }
+
+      const tracking = looksLikeTracking(key, [...values]);
+      if (extraMatches === 0 && varies === 0 && !tracking) continue;
+
+      suggestions.push({
+        key,
+        varies,
+        tracking,
+        extraMatches,
+        example: example || { before: urls[0], after: strip(urls[0], key) }
+      });
+    }
+
+    suggestions.sort((a, b) =>
+      b.extraMatches - a.extraMatches || b.varies - a.varies || Number(b.tracking) - Number(a.tracking)
+    );
+    return suggestions.slice(0, MAX_SUGGESTIONS);
+  }
+
+  return {
+    analyze
+  };
+})();
+
+// Make available to the popup
+if (typeof globalThis !== 'undefined') {
+  globalThis.ParamAnalyzer = ParamAnalyzer;
+}
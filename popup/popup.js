@@ -1,57 +1,180 @@
 /**
  * Popup Page Logic
- * Handles toggle, color config, ignore params, stats display, and refresh
+ * Handles toggle, site list, color config, ignore params, site rules,
+ * canonicalization, redirect links, stats display, page link list, and refresh.
+ * Host aliases, path rewrites and custom wrappers are edited on the options page.
  */
 
-const DEFAULT_CONFIG = {
-  enabled: true,
-  ignoreParams: [],
-  ignoreHash: true,
-  highlightTextColor: '#C58AF9'
-};
-
 // DOM Elements
 const enableToggle = document.getElementById('enableToggle');
-const textColorPicker = document.getElementById('textColorPicker');
-const textColorHex = document.getElementById('textColorHex');
+const siteToggleBtn = document.getElementById('siteToggleBtn');
+const siteModeSelect = document.getElementById('siteModeSelect');
+const siteListContainer = document.getElementById('siteListContainer');
+const siteListEmptyHint = document.getElementById('siteListEmptyHint');
+const siteListInput = document.getElementById('siteListInput');
+const addSiteListBtn = document.getElementById('addSiteListBtn');
+const colorInputs = [
+  { key: 'highlightTextColor', id: 'textColor' },
+  { key: 'tierTodayColor', id: 'tierToday' },
+  { key: 'tierWeekColor', id: 'tierWeek' },
+  { key: 'tierOlderColor', id: 'tierOlder' },
+  { key: 'highlightBackgroundColor', id: 'backgroundColor' },
+  { key: 'underlineColor', id: 'underlineColor' }
+].map(({ key, id }) => ({
+  key,
+  picker: document.getElementById(`${id}Picker`),
+  hex: document.getElementById(`${id}Hex`)
+}));
+const styleChips = document.getElementById('styleChips');
+const backgroundOptions = document.getElementById('backgroundOptions');
+const underlineOptions = document.getElementById('underlineOptions');
+const underlineStyleSelect = document.getElementById('underlineStyleSelect');
+const dimOptions = document.getElementById('dimOptions');
+const dimOpacityRange = document.getElementById('dimOpacityRange');
+const dimOpacityValue = document.getElementById('dimOpacityValue');
+const recencyTiersToggle = document.getElementById('recencyTiersToggle');
+const tierColors = document.getElementById('tierColors');
+const showTooltipToggle = document.getElementById('showTooltipToggle');
+const badgeModeSelect = document.getElementById('badgeModeSelect');
+const trackReadingToggle = document.getElementById('trackReadingToggle');
+const readingOptions = document.getElementById('readingOptions');
+const readThresholdSelect = document.getElementById('readThresholdSelect');
+const readMinSecondsSelect = document.getElementById('readMinSecondsSelect');
 const colorPreview = document.getElementById('colorPreview');
 const previewLink = colorPreview.querySelector('.preview-link');
+const tierPreview = document.getElementById('tierPreview');
+const presetsRow = document.getElementById('presetsRow');
 const tagsContainer = document.getElementById('tagsContainer');
 const emptyHint = document.getElementById('emptyHint');
 const paramInput = document.getElementById('paramInput');
 const addParamBtn = document.getElementById('addParamBtn');
+const analyzeParamsBtn = document.getElementById('analyzeParamsBtn');
+const suggestionsList = document.getElementById('suggestionsList');
+const sitePatternInput = document.getElementById('sitePatternInput');
+const siteTagsContainer = document.getElementById('siteTagsContainer');
+const siteEmptyHint = document.getElementById('siteEmptyHint');
+const siteParamInput = document.getElementById('siteParamInput');
+const siteFilterSelectorInput = document.getElementById('siteFilterSelectorInput');
+const siteSelectorLists = [
+  { key: 'siteIncludeSelectors', id: 'siteInclude' },
+  { key: 'siteExcludeSelectors', id: 'siteExclude' }
+].map(({ key, id }) => ({
+  key,
+  container: document.getElementById(`${id}TagsContainer`),
+  hint: document.getElementById(`${id}EmptyHint`),
+  input: document.getElementById(`${id}Input`),
+  button: document.getElementById(`add${id[0].toUpperCase()}${id.slice(1)}Btn`)
+}));
+const addSiteParamBtn = document.getElementById('addSiteParamBtn');
+const foldToggles = {
+  foldScheme: document.getElementById('foldSchemeToggle'),
+  foldWww: document.getElementById('foldWwwToggle'),
+  foldTrailingSlash: document.getElementById('foldTrailingSlashToggle'),
+  foldDefaultDocument: document.getElementById('foldDefaultDocumentToggle')
+};
+const unwrapRedirectsToggle = document.getElementById('unwrapRedirectsToggle');
+const learnRedirectsToggle = document.getElementById('learnRedirectsToggle');
+const clearRedirectsBtn = document.getElementById('clearRedirectsBtn');
+const wrapperRulesBtn = document.getElementById('wrapperRulesBtn');
+const testUrlInput = document.getElementById('testUrlInput');
+const testResult = document.getElementById('testResult');
+const diagnoseBtn = document.getElementById('diagnoseBtn');
+const canonicalRulesBtn = document.getElementById('canonicalRulesBtn');
 const refreshBtn = document.getElementById('refreshBtn');
+const importExportBtn = document.getElementById('importExportBtn');
+const filterModeSelect = document.getElementById('filterModeSelect');
+const filterStatus = document.getElementById('filterStatus');
+const filterStatusText = document.getElementById('filterStatusText');
+const revealBtn = document.getElementById('revealBtn');
 const ignoreHashToggle = document.getElementById('ignoreHashToggle');
 const statsVisited = document.getElementById('statsVisited');
 const statsTotal = document.getElementById('statsTotal');
 const statsPercent = document.getElementById('statsPercent');
 const statsRing = document.getElementById('statsRing');
+const markPageReadBtn = document.getElementById('markPageReadBtn');
+const visitFiltersBtn = document.getElementById('visitFiltersBtn');
+const linkListToggle = document.getElementById('linkListToggle');
+const linkListPanel = document.getElementById('linkListPanel');
+const linkFilterInput = document.getElementById('linkFilterInput');
+const includeVisitedToggle = document.getElementById('includeVisitedToggle');
+const linkList = document.getElementById('linkList');
+const selectAllLinks = document.getElementById('selectAllLinks');
+const openSelectedBtn = document.getElementById('openSelectedBtn');
+
+// Safety cap for "Open selected in background tabs"
+const MAX_OPEN_TABS = 20;
+const MAX_LIST_ROWS = 500;
+
+// History looked at by the parameter analyzer
+const SUGGESTION_HOST_LIMIT = 10;
+const SUGGESTION_HISTORY_LIMIT = 2000;
+
+let currentConfig = ConfigStore.getDefaults();
+// Settings as last loaded or saved, to tell which keys the popup changed
+let savedConfig = structuredClone(currentConfig);
 
-let currentConfig = { ...DEFAULT_CONFIG };
+// Hostname of the active tab (null for non-web pages)
+let activeHost = null;
+
+// Links of the active tab ({url, title, visited, normalizedUrl}) and the selected URLs
+let pageLinks = [];
+const selectedLinks = new Set();
 
 /**
  * Load config from storage and update UI
  */
 async function loadConfig() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(DEFAULT_CONFIG, (config) => {
-      currentConfig = config;
-      updateUI();
-      resolve();
-    });
-  });
+  currentConfig = await ConfigStore.load();
+  savedConfig = structuredClone(currentConfig);
+  updateUI();
 }
 
 /**
- * Save config to storage and notify background
+ * Save the keys changed since the last load or save and notify background.
+ * Only those keys are written, so settings changed elsewhere while the popup
+ * is open (context menu, keyboard shortcut) are kept. A failed save leaves
+ * its keys changed, so the next save writes them again.
  */
 async function saveConfig() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.set(currentConfig, () => {
-      chrome.runtime.sendMessage({ action: 'configUpdated' });
-      resolve();
-    });
-  });
+  // Keep the URL tester in sync with every config change
+  updateTestResult();
+
+  const changes = {};
+  for (const key of Object.keys(currentConfig)) {
+    if (JSON.stringify(currentConfig[key]) !== JSON.stringify(savedConfig[key])) {
+      changes[key] = structuredClone(currentConfig[key]);
+    }
+  }
+  if (Object.keys(changes).length === 0) return;
+
+  try {
+    await ConfigStore.save(changes);
+  } catch (error) {
+    console.error('[Visited Link] Error saving settings:', error);
+    return;
+  }
+  Object.assign(savedConfig, changes);
+  chrome.runtime.sendMessage({ action: 'configUpdated' });
+}
+
+/**
+ * Take over settings changed elsewhere while the popup is open. Keys the
+ * popup changed itself and hasn't saved yet keep the popup's value.
+ */
+async function mergeStoredConfig() {
+  const stored = await ConfigStore.load();
+  let changed = false;
+  for (const key of Object.keys(stored)) {
+    const savedJson = JSON.stringify(savedConfig[key]);
+    if (JSON.stringify(stored[key]) === savedJson || JSON.stringify(currentConfig[key]) !== savedJson) continue;
+    currentConfig[key] = structuredClone(stored[key]);
+    savedConfig[key] = stored[key];
+    changed = true;
+  }
+  if (changed) {
+    updateUI();
+    updateTestResult();
+  }
 }
 
 /**
@@ -62,55 +185,311 @@ function updateUI() {
   enableToggle.checked = currentConfig.enabled;
   document.body.classList.toggle('disabled', !currentConfig.enabled);
 
+  // Site list
+  siteModeSelect.value = currentConfig.siteMode === 'allow' ? 'allow' : 'block';
+  renderSiteList();
+  renderSiteToggle();
+
+  // Filter mode
+  filterModeSelect.value = currentConfig.filterMode || 'off';
+
   // Ignore Hash
   ignoreHashToggle.checked = currentConfig.ignoreHash !== false;
 
+  // Canonicalization
+  for (const [key, toggle] of Object.entries(foldToggles)) {
+    toggle.checked = !!currentConfig[key];
+  }
+
+  // Redirects
+  unwrapRedirectsToggle.checked = currentConfig.unwrapRedirects !== false;
+  learnRedirectsToggle.checked = currentConfig.learnRedirects !== false;
+
   // Colors
-  textColorPicker.value = currentConfig.highlightTextColor;
-  textColorHex.value = currentConfig.highlightTextColor.replace('#', '').toUpperCase();
+  for (const { key, picker, hex } of colorInputs) {
+    picker.value = currentConfig[key];
+    hex.value = currentConfig[key].replace('#', '').toUpperCase();
+  }
+  underlineStyleSelect.value = currentConfig.underlineStyle;
+  dimOpacityRange.value = currentConfig.dimOpacity;
+  recencyTiersToggle.checked = !!currentConfig.recencyTiers;
+  showTooltipToggle.checked = !!currentConfig.showTooltip;
+  badgeModeSelect.value = currentConfig.badgeMode;
+  trackReadingToggle.checked = !!currentConfig.trackReading;
+  readThresholdSelect.value = String(currentConfig.readThreshold);
+  readMinSecondsSelect.value = String(currentConfig.readMinSeconds);
+  readingOptions.style.display = currentConfig.trackReading ? '' : 'none';
+  renderStyleChips();
   updateColorPreview();
 
   // Tags
+  renderPresets();
   renderTags();
+  renderSiteTags();
+  updateTestResult();
+}
+
+/**
+ * Render the highlight effect chips (text color, background, underline, ...)
+ */
+function renderStyleChips() {
+  styleChips.innerHTML = '';
+  const active = HighlightStyle.getClasses(currentConfig);
+
+  for (const effect of HighlightStyle.EFFECTS) {
+    const chip = document.createElement('button');
+    chip.className = 'preset-chip';
+    chip.classList.toggle('active', active.includes(effect.className));
+    chip.textContent = effect.label;
+    chip.addEventListener('click', () => {
+      currentConfig[effect.key] = !active.includes(effect.className);
+      renderStyleChips();
+      updateColorPreview();
+      saveConfig();
+    });
+    styleChips.appendChild(chip);
+  }
 }
 
 /**
- * Update the color preview link
+ * Update the preview links, styled by the same content.css rules the page uses
  */
 function updateColorPreview() {
-  previewLink.style.color = currentConfig.highlightTextColor;
+  const styleClasses = HighlightStyle.getClasses(currentConfig);
+  HighlightStyle.applyVariables(colorPreview, currentConfig);
+
+  backgroundOptions.style.display = currentConfig.styleBackground ? '' : 'none';
+  underlineOptions.style.display = currentConfig.styleUnderline ? '' : 'none';
+  dimOptions.style.display = currentConfig.styleDim ? '' : 'none';
+  dimOpacityValue.textContent = `${Math.round(currentConfig.dimOpacity * 100)}%`;
+
+  const tiersOn = !!currentConfig.recencyTiers;
+  tierColors.style.display = tiersOn ? 'block' : 'none';
+  tierPreview.style.display = tiersOn ? 'flex' : 'none';
+  previewLink.style.display = tiersOn ? 'none' : '';
+  previewLink.className = ['preview-link', 'vlh-visited', ...styleClasses].join(' ');
+  tierPreview.querySelectorAll('.preview-link').forEach((link) => {
+    link.className = ['preview-link', 'vlh-visited', ...styleClasses, link.dataset.tierClass].join(' ');
+  });
 }
 
 /**
- * Render ignore parameter tags
+ * Render the allow/block site list tags
  */
-function renderTags() {
-  // Remove existing tags (keep empty hint)
-  const existingTags = tagsContainer.querySelectorAll('.tag');
-  existingTags.forEach(tag => tag.remove());
-
-  const params = currentConfig.ignoreParams || [];
-  emptyHint.style.display = params.length === 0 ? 'block' : 'none';
-
-  params.forEach((param) => {
-    const tag = document.createElement('span');
-    tag.className = 'tag';
-    tag.innerHTML = `
-      ${escapeHtml(param)}
-      <button class="tag-remove" data-param="${escapeHtml(param)}" title="Remove">&times;</button>
-    `;
-    tagsContainer.appendChild(tag);
+function renderSiteList() {
+  const siteList = currentConfig.siteList || [];
+  TagList.render(siteListContainer, siteListEmptyHint, siteList, (indexToRemove) => {
+    currentConfig.siteList = siteList.filter((_, i) => i !== indexToRemove);
+    saveConfig();
+    renderSiteList();
+    renderSiteToggle();
   });
+}
+
+/**
+ * Update the "Disable on <domain>" / "Enable on <domain>" header button
+ */
+function renderSiteToggle() {
+  siteToggleBtn.hidden = !activeHost;
+  if (!activeHost) return;
 
-  // Bind remove handlers
-  tagsContainer.querySelectorAll('.tag-remove').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      const paramToRemove = btn.dataset.param;
-      currentConfig.ignoreParams = currentConfig.ignoreParams.filter(p => p !== paramToRemove);
+  const enabled = HostPattern.isSiteEnabled(activeHost, currentConfig.siteMode, currentConfig.siteList);
+  siteToggleBtn.textContent = `${enabled ? 'Disable' : 'Enable'} on ${activeHost}`;
+  siteToggleBtn.title = siteToggleBtn.textContent;
+  siteToggleBtn.classList.toggle('site-off', !enabled);
+}
+
+/**
+ * Flip the active site in the site list. In block mode disabling adds the
+ * host and enabling removes every matching pattern; allow mode is the reverse.
+ */
+function toggleActiveSite() {
+  if (!activeHost) return;
+
+  const siteList = currentConfig.siteList || [];
+  const listed = HostPattern.matchesAny(activeHost, siteList);
+  currentConfig.siteList = listed
+    ? siteList.filter(pattern => !HostPattern.matches(activeHost, pattern))
+    : [...siteList, activeHost];
+
+  saveConfig();
+  renderSiteList();
+  renderSiteToggle();
+}
+
+/**
+ * Add host patterns to the site list from the site list input
+ */
+function addSiteListEntry() {
+  const patterns = TagList.parseInput(siteListInput.value).map(HostPattern.normalize);
+  const valid = patterns.filter(p => p && HostPattern.isValid(p));
+  siteListInput.classList.toggle('invalid', valid.length < patterns.length);
+
+  const siteList = [...(currentConfig.siteList || [])];
+  let added = false;
+  for (const pattern of valid) {
+    if (!siteList.includes(pattern)) {
+      siteList.push(pattern);
+      added = true;
+    }
+  }
+
+  if (added) {
+    currentConfig.siteList = siteList;
+    saveConfig();
+    renderSiteList();
+    renderSiteToggle();
+  }
+
+  if (!siteListInput.classList.contains('invalid')) {
+    siteListInput.value = '';
+  }
+  siteListInput.focus();
+}
+
+/**
+ * Render the built-in tracking preset toggles
+ */
+function renderPresets() {
+  presetsRow.innerHTML = '';
+  const enabled = currentConfig.ignorePresets || [];
+
+  for (const preset of UrlNormalizer.PARAM_PRESETS) {
+    const chip = document.createElement('button');
+    chip.className = 'preset-chip';
+    chip.classList.toggle('active', enabled.includes(preset.id));
+    chip.textContent = preset.label;
+    chip.title = preset.params.join(', ');
+    chip.addEventListener('click', () => {
+      const ids = currentConfig.ignorePresets || [];
+      currentConfig.ignorePresets = ids.includes(preset.id)
+        ? ids.filter(id => id !== preset.id)
+        : [...ids, preset.id];
       saveConfig();
-      renderTags();
+      renderPresets();
     });
+    presetsRow.appendChild(chip);
+  }
+}
+
+/**
+ * Render global ignore parameter tags
+ */
+function renderTags() {
+  TagList.render(tagsContainer, emptyHint, currentConfig.ignoreParams || [], (indexToRemove) => {
+    currentConfig.ignoreParams = currentConfig.ignoreParams.filter((_, i) => i !== indexToRemove);
+    saveConfig();
+    renderTags();
+  });
+}
+
+/**
+ * Get the normalized host pattern from the site rules input
+ * @returns {string|null} Pattern, or null if empty/invalid
+ */
+function getSitePattern() {
+  const pattern = HostPattern.normalize(sitePatternInput.value);
+  return pattern && HostPattern.isValid(pattern) ? pattern : null;
+}
+
+/**
+ * Replace the ignore parameters of a site rule (empty list removes the rule)
+ * @param {string} pattern - Host pattern
+ * @param {string[]} params
+ */
+function setSiteParams(pattern, params) {
+  const siteIgnoreParams = { ...currentConfig.siteIgnoreParams };
+  if (params.length > 0) {
+    siteIgnoreParams[pattern] = params;
+  } else {
+    delete siteIgnoreParams[pattern];
+  }
+  currentConfig.siteIgnoreParams = siteIgnoreParams;
+}
+
+/**
+ * Render ignore parameter tags for the host pattern in the site rules input
+ */
+function renderSiteTags() {
+  const pattern = getSitePattern();
+  sitePatternInput.classList.toggle('invalid', sitePatternInput.value.trim() !== '' && !pattern);
+
+  siteFilterSelectorInput.value = pattern ? (currentConfig.filterContainers[pattern] || '') : '';
+  siteFilterSelectorInput.classList.remove('invalid');
+  siteFilterSelectorInput.disabled = !pattern;
+
+  const params = pattern ? (currentConfig.siteIgnoreParams[pattern] || []) : [];
+  TagList.render(siteTagsContainer, siteEmptyHint, params, (indexToRemove) => {
+    setSiteParams(pattern, params.filter((_, i) => i !== indexToRemove));
+    saveConfig();
+    renderSiteTags();
   });
+
+  for (const list of siteSelectorLists) {
+    const selectors = pattern ? (currentConfig[list.key][pattern] || []) : [];
+    TagList.render(list.container, list.hint, selectors, (indexToRemove) => {
+      setSiteSelectors(list.key, pattern, selectors.filter((_, i) => i !== indexToRemove));
+      saveConfig();
+      renderSiteTags();
+    });
+  }
+}
+
+/**
+ * Replace the include/exclude selectors of a site rule (empty list removes the rule)
+ * @param {string} key - 'siteIncludeSelectors' or 'siteExcludeSelectors'
+ * @param {string} pattern - Host pattern
+ * @param {string[]} selectors
+ */
+function setSiteSelectors(key, pattern, selectors) {
+  const rules = { ...currentConfig[key] };
+  if (selectors.length > 0) {
+    rules[pattern] = selectors;
+  } else {
+    delete rules[pattern];
+  }
+  currentConfig[key] = rules;
+}
+
+/**
+ * Check whether a string is a valid CSS selector
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Show how the test URL normalizes under the current config
+ */
+function updateTestResult() {
+  const url = testUrlInput.value.trim();
+  if (!url) {
+    testResult.textContent = '';
+    return;
+  }
+
+  if (!UrlNormalizer.isValidHttpUrl(url)) {
+    testResult.textContent = 'Not a valid http(s) URL';
+    return;
+  }
+
+  testResult.textContent = UrlNormalizer.createNormalizer(currentConfig)(url);
+}
+
+/**
+ * Open the options page in a new tab and close the popup
+ * @param {string} suffix - Query string and/or hash, e.g. '#aliases' or '?url=…'
+ */
+function openOptionsPage(suffix = '') {
+  chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html') + suffix });
+  window.close();
 }
 
 /**
@@ -122,6 +501,18 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * Keep valid patterns and flag the input if any were rejected
+ * @param {Element} input - Text input the patterns came from
+ * @param {string[]} params
+ * @returns {string[]} Valid patterns
+ */
+function validateParams(input, params) {
+  const valid = params.filter(p => UrlNormalizer.isValidParamPattern(p));
+  input.classList.toggle('invalid', valid.length < params.length);
+  return valid;
+}
+
 /**
  * Add a new ignore parameter
  */
@@ -130,7 +521,7 @@ function addParam() {
   if (!raw) return;
 
   // Support comma-separated input
-  const params = raw.split(/[,，\s]+/).map(p => p.trim()).filter(p => p.length > 0);
+  const params = validateParams(paramInput, TagList.parseInput(raw));
 
   let added = false;
   for (const param of params) {
@@ -145,12 +536,186 @@ function addParam() {
     renderTags();
   }
 
-  paramInput.value = '';
+  if (!paramInput.classList.contains('invalid')) {
+    paramInput.value = '';
+  }
   paramInput.focus();
 }
 
 /**
- * Fetch and display stats for current tab
+ * Fetch history entries for the most common link hosts on the page
+ * @param {string[]} urls - Page link URLs
+ * @returns {Promise<string[]>} History URLs on those hosts
+ */
+async function getHistoryForLinks(urls) {
+  const hostCounts = new Map();
+  for (const url of urls) {
+    const host = UrlNormalizer.extractDomain(url);
+    if (host) hostCounts.set(host, (hostCounts.get(host) || 0) + 1);
+  }
+  const hosts = [...hostCounts.keys()]
+    .sort((a, b) => hostCounts.get(b) - hostCounts.get(a))
+    .slice(0, SUGGESTION_HOST_LIMIT);
+
+  const results = await Promise.all(hosts.map(host =>
+    chrome.history.search({ text: host, startTime: 0, maxResults: SUGGESTION_HISTORY_LIMIT })
+      .then(items => items.map(item => item.url).filter(url => UrlNormalizer.extractDomain(url) === host))
+  ));
+  return results.flat();
+}
+
+/**
+ * Analyze the active tab's links and show ignore-parameter suggestions
+ */
+async function analyzeParams() {
+  suggestionsList.innerHTML = '';
+  analyzeParamsBtn.disabled = true;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = tab?.id ? await chrome.tabs.sendMessage(tab.id, { action: 'getLinkList' }) : null;
+    const urls = (response?.links || []).map(link => link.url);
+    const historyUrls = await getHistoryForLinks(urls);
+
+    const suggestions = ParamAnalyzer.analyze(
+      urls,
+      historyUrls,
+      UrlNormalizer.createNormalizer(currentConfig),
+      currentConfig.ignoreHash !== false
+    );
+    renderSuggestions(suggestions);
+  } catch {
+    // Content script might not be loaded
+    renderSuggestions([]);
+  } finally {
+    analyzeParamsBtn.disabled = false;
+  }
+}
+
+/**
+ * Render ignore-parameter suggestions with one-click add buttons
+ * @param {Object[]} suggestions - From ParamAnalyzer.analyze
+ */
+function renderSuggestions(suggestions) {
+  suggestionsList.innerHTML = '';
+
+  if (suggestions.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'suggestions-empty';
+    empty.textContent = 'No parameter suggestions for this page';
+    suggestionsList.appendChild(empty);
+    return;
+  }
+
+  for (const suggestion of suggestions) {
+    const notes = [];
+    if (suggestion.extraMatches > 0) notes.push(`+${suggestion.extraMatches} matches`);
+    if (suggestion.varies > 0) notes.push(`varies in ${suggestion.varies} URL${suggestion.varies === 1 ? '' : 's'}`);
+    if (suggestion.tracking) notes.push('looks like tracking');
+
+    const item = document.createElement('div');
+    item.className = 'suggestion';
+    item.innerHTML = `
+      <div class="suggestion-head">
+        <span class="suggestion-key">${escapeHtml(suggestion.key)}</span>
+        <span class="suggestion-meta">${escapeHtml(notes.join(' · '))}</span>
+        <button class="add-btn suggestion-add">Add</button>
+      </div>
+      <div class="suggestion-example">
+        ${escapeHtml(suggestion.example.before)}<br>
+        → <span class="after">${escapeHtml(suggestion.example.after)}</span>
+      </div>
+    `;
+    item.querySelector('.suggestion-add').addEventListener('click', () => {
+      if (!currentConfig.ignoreParams.includes(suggestion.key)) {
+        currentConfig.ignoreParams.push(suggestion.key);
+        saveConfig();
+        renderTags();
+      }
+      item.remove();
+    });
+    suggestionsList.appendChild(item);
+  }
+}
+
+/**
+ * Add ignore parameters to the site rule in the site rules input
+ */
+function addSiteParam() {
+  const pattern = getSitePattern();
+  const raw = siteParamInput.value.trim();
+  if (!pattern || !raw) return;
+
+  const params = [...(currentConfig.siteIgnoreParams[pattern] || [])];
+  let added = false;
+  for (const param of validateParams(siteParamInput, TagList.parseInput(raw))) {
+    if (!params.includes(param)) {
+      params.push(param);
+      added = true;
+    }
+  }
+
+  if (added) {
+    setSiteParams(pattern, params);
+    saveConfig();
+    renderSiteTags();
+  }
+
+  if (!siteParamInput.classList.contains('invalid')) {
+    siteParamInput.value = '';
+  }
+  siteParamInput.focus();
+}
+
+/**
+ * Add an include/exclude selector for the host pattern in the site rules input
+ * @param {Object} list - Entry of siteSelectorLists
+ */
+function addSiteSelector(list) {
+  const pattern = getSitePattern();
+  const selector = list.input.value.trim();
+  if (!pattern || !selector) return;
+
+  if (!isValidSelector(selector)) {
+    list.input.classList.add('invalid');
+    list.input.focus();
+    return;
+  }
+
+  const selectors = currentConfig[list.key][pattern] || [];
+  if (!selectors.includes(selector)) {
+    setSiteSelectors(list.key, pattern, [...selectors, selector]);
+    saveConfig();
+    renderSiteTags();
+  }
+
+  list.input.value = '';
+  list.input.focus();
+}
+
+/**
+ * Pre-fill the site rules input with the active tab's hostname and the
+ * URL tester with its address
+ */
+async function loadActiveTabDefaults() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = tab?.url ? new URL(tab.url) : null;
+    if (url && (url.protocol === 'http:' || url.protocol === 'https:')) {
+      activeHost = url.hostname;
+      sitePatternInput.value = url.hostname;
+      testUrlInput.value = url.href;
+    }
+  } catch {
+    // No usable active tab
+  }
+  renderSiteTags();
+  renderSiteToggle();
+  updateTestResult();
+}
+
+/**
+ * Display the stats the current tab last reported to the service worker
  */
 async function loadStats() {
   try {
@@ -160,13 +725,9 @@ async function loadStats() {
       return;
     }
 
-    chrome.tabs.sendMessage(tab.id, { action: 'getStats' }, (response) => {
-      if (chrome.runtime.lastError || !response) {
-        setStats(0, 0);
-        return;
-      }
-      setStats(response.visited || 0, response.total || 0);
-    });
+    const stats = await chrome.runtime.sendMessage({ action: 'getTabStats', tabId: tab.id });
+    setStats(stats?.visited || 0, stats?.total || 0);
+    setFilterStatus(stats?.hidden || 0, !!stats?.revealed);
   } catch {
     setStats(0, 0);
   }
@@ -188,6 +749,206 @@ function setStats(visited, total) {
   statsRing.style.strokeDashoffset = offset;
 }
 
+/**
+ * Show how many items filter mode hid on the page, with a reveal/restore toggle
+ * @param {number} hidden
+ * @param {boolean} revealed
+ */
+function setFilterStatus(hidden, revealed) {
+  const active = currentConfig.filterMode !== 'off' && hidden > 0;
+  filterStatus.classList.toggle('visible', active);
+  if (!active) return;
+
+  const items = `${hidden} item${hidden === 1 ? '' : 's'}`;
+  filterStatusText.textContent = revealed ? `${items} revealed on this page` : `${items} filtered on this page`;
+  revealBtn.textContent = revealed ? 'Restore' : 'Reveal';
+  revealBtn.dataset.revealed = revealed ? 'true' : '';
+}
+
+/**
+ * Reveal or re-filter the items hidden on the current tab
+ */
+async function toggleRevealed() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return;
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'setFilterRevealed',
+      revealed: !revealBtn.dataset.revealed
+    });
+    if (response) setFilterStatus(response.hidden, response.revealed);
+  } catch {
+    // Content script might not be loaded
+  }
+}
+
+/**
+ * Save the filter mode item selector for the site rule pattern
+ */
+function saveSiteFilterSelector() {
+  const pattern = getSitePattern();
+  if (!pattern) return;
+
+  const selector = siteFilterSelectorInput.value.trim();
+  if (selector && !isValidSelector(selector)) {
+    siteFilterSelectorInput.classList.add('invalid');
+    return;
+  }
+  siteFilterSelectorInput.classList.remove('invalid');
+
+  const filterContainers = { ...currentConfig.filterContainers };
+  if (selector) {
+    filterContainers[pattern] = selector;
+  } else {
+    delete filterContainers[pattern];
+  }
+  currentConfig.filterContainers = filterContainers;
+  saveConfig();
+}
+
+/**
+ * Manually mark every in-scope link on the current page as read
+ */
+async function markPageRead() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return;
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getLinkUrls' });
+    if (!response?.urls?.length) return;
+
+    await chrome.runtime.sendMessage({ action: 'setManualMarks', urls: response.urls, read: true });
+    setTimeout(loadStats, 500);
+  } catch {
+    // Content script might not be loaded
+  }
+}
+
+/**
+ * Fetch the active tab's links for the link list
+ */
+async function loadLinkList() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = tab?.id ? await chrome.tabs.sendMessage(tab.id, { action: 'getLinkList' }) : null;
+    const normalize = UrlNormalizer.createNormalizer(currentConfig);
+    pageLinks = (response?.links || []).map(link => ({ ...link, normalizedUrl: normalize(link.url) }));
+  } catch {
+    // Content script might not be loaded
+    pageLinks = [];
+  }
+  selectedLinks.clear();
+  renderLinkList();
+}
+
+/**
+ * Get the links matching the text filter and the "Visited" toggle
+ * @returns {Object[]}
+ */
+function getVisibleLinks() {
+  const query = linkFilterInput.value.trim().toLowerCase();
+  return pageLinks.filter((link) => {
+    if (link.visited && !includeVisitedToggle.checked) return false;
+    return !query || link.title.toLowerCase().includes(query) ||
+      link.url.toLowerCase().includes(query) || link.normalizedUrl.toLowerCase().includes(query);
+  }).slice(0, MAX_LIST_ROWS);
+}
+
+/**
+ * Get the selected links that are currently shown
+ * @returns {Object[]}
+ */
+function getSelectedVisibleLinks() {
+  return getVisibleLinks().filter(link => selectedLinks.has(link.url));
+}
+
+/**
+ * Render the link list rows
+ */
+function renderLinkList() {
+  const links = getVisibleLinks();
+  linkList.innerHTML = '';
+
+  if (links.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'link-list-empty';
+    empty.textContent = pageLinks.length === 0 ? 'No links found on this page' : 'No matching links';
+    linkList.appendChild(empty);
+  }
+
+  for (const link of links) {
+    const row = document.createElement('label');
+    row.className = 'link-row';
+    row.classList.toggle('visited', link.visited);
+    row.title = link.url;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedLinks.has(link.url);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedLinks.add(link.url);
+      } else {
+        selectedLinks.delete(link.url);
+      }
+      updateLinkListActions();
+    });
+
+    const text = document.createElement('div');
+    text.className = 'link-row-text';
+    const title = document.createElement('div');
+    title.className = 'link-row-title';
+    title.textContent = link.title || link.url;
+    const url = document.createElement('div');
+    url.className = 'link-row-url';
+    url.textContent = link.normalizedUrl;
+    text.append(title, url);
+
+    row.append(checkbox, text);
+    linkList.appendChild(row);
+  }
+
+  updateLinkListActions();
+}
+
+/**
+ * Sync the "All" checkbox and the open button with the selection
+ */
+function updateLinkListActions() {
+  const visible = getVisibleLinks();
+  const count = getSelectedVisibleLinks().length;
+
+  selectAllLinks.checked = visible.length > 0 && count === visible.length;
+  openSelectedBtn.disabled = count === 0 || count > MAX_OPEN_TABS;
+  if (count > MAX_OPEN_TABS) {
+    openSelectedBtn.textContent = `Select at most ${MAX_OPEN_TABS}`;
+  } else if (count > 0) {
+    openSelectedBtn.textContent = `Open ${count} in background tabs`;
+  } else {
+    openSelectedBtn.textContent = 'Open in background tabs';
+  }
+}
+
+/**
+ * Open the selected links next to the active tab without switching to them
+ */
+async function openSelectedLinks() {
+  const links = getSelectedVisibleLinks();
+  if (links.length === 0 || links.length > MAX_OPEN_TABS) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  for (const [i, link] of links.entries()) {
+    await chrome.tabs.create({
+      url: link.url,
+      active: false,
+      index: tab ? tab.index + 1 + i : undefined,
+      openerTabId: tab?.id
+    });
+    link.visited = true;
+    selectedLinks.delete(link.url);
+  }
+  renderLinkList();
+}
+
 /**
  * Refresh current tab highlights
  */
@@ -217,42 +978,117 @@ enableToggle.addEventListener('change', () => {
   saveConfig();
 });
 
-textColorPicker.addEventListener('input', () => {
-  currentConfig.highlightTextColor = textColorPicker.value;
-  textColorHex.value = textColorPicker.value.replace('#', '').toUpperCase();
-  updateColorPreview();
-});
+siteToggleBtn.addEventListener('click', toggleActiveSite);
 
-textColorPicker.addEventListener('change', () => {
+siteModeSelect.addEventListener('change', () => {
+  currentConfig.siteMode = siteModeSelect.value;
   saveConfig();
+  renderSiteToggle();
 });
 
-textColorHex.addEventListener('input', () => {
-  let val = textColorHex.value.replace(/[^0-9A-Fa-f]/g, '').slice(0, 6);
-  textColorHex.value = val.toUpperCase();
-  if (val.length === 6) {
-    const color = '#' + val;
-    currentConfig.highlightTextColor = color;
-    textColorPicker.value = color;
-    updateColorPreview();
+addSiteListBtn.addEventListener('click', addSiteListEntry);
+
+siteListInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addSiteListEntry();
   }
 });
 
-textColorHex.addEventListener('change', () => {
-  let val = textColorHex.value.replace(/[^0-9A-Fa-f]/g, '');
-  if (val.length === 3) {
-    val = val[0] + val[0] + val[1] + val[1] + val[2] + val[2];
-  }
-  if (val.length === 6) {
-    const color = '#' + val.toUpperCase();
-    currentConfig.highlightTextColor = color;
-    textColorPicker.value = color;
-    textColorHex.value = val.toUpperCase();
+siteListInput.addEventListener('input', () => {
+  siteListInput.classList.remove('invalid');
+});
+
+/**
+ * Wire a color picker + hex input pair to a config key
+ * @param {{key: string, picker: Element, hex: Element}} colorInput
+ */
+function bindColorInput({ key, picker, hex }) {
+  picker.addEventListener('input', () => {
+    currentConfig[key] = picker.value;
+    hex.value = picker.value.replace('#', '').toUpperCase();
     updateColorPreview();
+  });
+
+  picker.addEventListener('change', () => {
     saveConfig();
-  } else {
-    textColorHex.value = currentConfig.highlightTextColor.replace('#', '').toUpperCase();
-  }
+  });
+
+  hex.addEventListener('input', () => {
+    let val = hex.value.replace(/[^0-9A-Fa-f]/g, '').slice(0, 6);
+    hex.value = val.toUpperCase();
+    if (val.length === 6) {
+      const color = '#' + val;
+      currentConfig[key] = color;
+      picker.value = color;
+      updateColorPreview();
+    }
+  });
+
+  hex.addEventListener('change', () => {
+    let val = hex.value.replace(/[^0-9A-Fa-f]/g, '');
+    if (val.length === 3) {
+      val = val[0] + val[0] + val[1] + val[1] + val[2] + val[2];
+    }
+    if (val.length === 6) {
+      const color = '#' + val.toUpperCase();
+      currentConfig[key] = color;
+      picker.value = color;
+      hex.value = val.toUpperCase();
+      updateColorPreview();
+      saveConfig();
+    } else {
+      hex.value = currentConfig[key].replace('#', '').toUpperCase();
+    }
+  });
+}
+
+colorInputs.forEach(bindColorInput);
+
+underlineStyleSelect.addEventListener('change', () => {
+  currentConfig.underlineStyle = underlineStyleSelect.value;
+  updateColorPreview();
+  saveConfig();
+});
+
+dimOpacityRange.addEventListener('input', () => {
+  currentConfig.dimOpacity = Number(dimOpacityRange.value);
+  updateColorPreview();
+});
+
+dimOpacityRange.addEventListener('change', () => {
+  saveConfig();
+});
+
+recencyTiersToggle.addEventListener('change', () => {
+  currentConfig.recencyTiers = recencyTiersToggle.checked;
+  updateColorPreview();
+  saveConfig();
+});
+
+showTooltipToggle.addEventListener('change', () => {
+  currentConfig.showTooltip = showTooltipToggle.checked;
+  saveConfig();
+});
+
+badgeModeSelect.addEventListener('change', () => {
+  currentConfig.badgeMode = badgeModeSelect.value;
+  saveConfig();
+});
+
+trackReadingToggle.addEventListener('change', () => {
+  currentConfig.trackReading = trackReadingToggle.checked;
+  readingOptions.style.display = currentConfig.trackReading ? '' : 'none';
+  saveConfig();
+});
+
+readThresholdSelect.addEventListener('change', () => {
+  currentConfig.readThreshold = Number(readThresholdSelect.value);
+  saveConfig();
+});
+
+readMinSecondsSelect.addEventListener('change', () => {
+  currentConfig.readMinSeconds = Number(readMinSecondsSelect.value);
+  saveConfig();
 });
 
 addParamBtn.addEventListener('click', addParam);
@@ -263,14 +1099,121 @@ paramInput.addEventListener('keydown', (e) => {
   }
 });
 
+paramInput.addEventListener('input', () => {
+  paramInput.classList.remove('invalid');
+});
+
+sitePatternInput.addEventListener('input', renderSiteTags);
+siteFilterSelectorInput.addEventListener('change', saveSiteFilterSelector);
+
+filterModeSelect.addEventListener('change', () => {
+  currentConfig.filterMode = filterModeSelect.value;
+  saveConfig();
+  // Give the page a moment to re-filter
+  setTimeout(loadStats, 500);
+});
+
+revealBtn.addEventListener('click', toggleRevealed);
+
+addSiteParamBtn.addEventListener('click', addSiteParam);
+
+siteParamInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    addSiteParam();
+  }
+});
+
+siteParamInput.addEventListener('input', () => {
+  siteParamInput.classList.remove('invalid');
+});
+
+for (const list of siteSelectorLists) {
+  list.button.addEventListener('click', () => addSiteSelector(list));
+  list.input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      addSiteSelector(list);
+    }
+  });
+  list.input.addEventListener('input', () => {
+    list.input.classList.remove('invalid');
+  });
+}
+
+for (const [key, toggle] of Object.entries(foldToggles)) {
+  toggle.addEventListener('change', () => {
+    currentConfig[key] = toggle.checked;
+    saveConfig();
+  });
+}
+
+unwrapRedirectsToggle.addEventListener('change', () => {
+  currentConfig.unwrapRedirects = unwrapRedirectsToggle.checked;
+  saveConfig();
+});
+
+learnRedirectsToggle.addEventListener('change', () => {
+  currentConfig.learnRedirects = learnRedirectsToggle.checked;
+  saveConfig();
+});
+
+clearRedirectsBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'clearLearnedRedirects' });
+});
+
+testUrlInput.addEventListener('input', updateTestResult);
+
+diagnoseBtn.addEventListener('click', () => {
+  const url = testUrlInput.value.trim();
+  openOptionsPage(url ? `?url=${encodeURIComponent(url)}` : '');
+});
+
+canonicalRulesBtn.addEventListener('click', () => openOptionsPage('#canonical-rules'));
+wrapperRulesBtn.addEventListener('click', () => openOptionsPage('#redirect-rules'));
+visitFiltersBtn.addEventListener('click', () => openOptionsPage('#visit-filters'));
+importExportBtn.addEventListener('click', () => openOptionsPage('#import-export'));
+
 refreshBtn.addEventListener('click', refreshCurrentTab);
 
+markPageReadBtn.addEventListener('click', markPageRead);
+
+linkListToggle.addEventListener('click', () => {
+  const expanded = linkListPanel.hidden;
+  linkListPanel.hidden = !expanded;
+  linkListToggle.classList.toggle('expanded', expanded);
+  if (expanded) loadLinkList();
+});
+
+linkFilterInput.addEventListener('input', renderLinkList);
+includeVisitedToggle.addEventListener('change', renderLinkList);
+
+selectAllLinks.addEventListener('change', () => {
+  for (const link of getVisibleLinks()) {
+    if (selectAllLinks.checked) {
+      selectedLinks.add(link.url);
+    } else {
+      selectedLinks.delete(link.url);
+    }
+  }
+  renderLinkList();
+});
+
+openSelectedBtn.addEventListener('click', openSelectedLinks);
+
+analyzeParamsBtn.addEventListener('click', analyzeParams);
+
 ignoreHashToggle.addEventListener('change', () => {
   currentConfig.ignoreHash = ignoreHashToggle.checked;
   saveConfig();
 });
 
+ConfigStore.onChanged(() => {
+  mergeStoredConfig().catch((error) => {
+    console.error('[Visited Link] Error reloading settings:', error);
+  });
+});
+
 // Initialize
 loadConfig().then(() => {
+  loadActiveTabDefaults();
   loadStats();
 });
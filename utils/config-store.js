@@ -0,0 +1,331 @@
+/**
+ * Config Store - Shared settings storage
+ * Used by the background service worker, popup and options page.
+ * Owns the defaults, the schema version with its migrations, and a
+ * quota-safe layout in chrome.storage.sync: settings too large for one sync
+ * item are split across numbered keys, and settings that would overflow the
+ * total sync quota are kept in chrome.storage.local instead (on this device only).
+ */
+
+const ConfigStore = (() => {
+  const SCHEMA_VERSION = 2;
+  const VERSION_KEY = 'schemaVersion';
+  const OVERFLOW_KEY = 'configOverflow';
+
+  // chrome.storage.sync quotas (QUOTA_BYTES, QUOTA_BYTES_PER_ITEM, MAX_ITEMS), with some headroom
+  const SYNC_BUDGET_BYTES = 102400 - 2048;
+  const ITEM_BUDGET_BYTES = 8192 - 256;
+  const MAX_SYNC_ITEMS = 512 - 16;
+  // A UTF-16 code unit takes at most 3 bytes as UTF-8
+  const CHUNK_CHARS = Math.floor(ITEM_BUDGET_BYTES / 3);
+
+  const DEFAULTS = {
+    enabled: true,
+    ignoreParams: [],
+    siteIgnoreParams: {},
+    ignorePresets: [],
+    ignoreHash: true,
+    foldScheme: false,
+    foldWww: false,
+    foldTrailingSlash: false,
+    foldDefaultDocument: false,
+    hostAliases: {},
+    pathRewrites: [],
+    unwrapRedirects: true,
+    redirectWrappers: [],
+    learnRedirects: true,
+    historyDays: 0,
+    ignoredTransitions: [],
+    highlightTextColor: '#C58AF9',
+    recencyTiers: false,
+    tierTodayColor: '#FF8A65',
+    tierWeekColor: '#C58AF9',
+    tierOlderColor: '#9AA0A6',
+    styleTextColor: true,
+    styleBackground: false,
+    highlightBackgroundColor: '#C58AF9',
+    styleUnderline: false,
+    underlineStyle: 'solid',
+    underlineColor: '#C58AF9',
+    styleStrikethrough: false,
+    styleDim: false,
+    dimOpacity: 0.55,
+    styleMarker: false,
+    showTooltip: false,
+    trackReading: false,
+    readThreshold: 90,
+    readMinSeconds: 30,
+    badgeMode: 'count',
+    filterMode: 'off',
+    filterContainers: {},
+    siteIncludeSelectors: {},
+    siteExcludeSelectors: {},
+    siteMode: 'block',
+    siteList: []
+  };
+
+  // Ordered steps, each upgrading settings from the previous version to `version`
+  const MIGRATIONS = [
+    {
+      // Version 1 stored every setting as one flat sync item. Values are
+      // unchanged; save() rewrites them in the quota-safe layout.
+      version: 2,
+      migrate: config => config
+    }
+  ];
+
+  // Stored in place of a setting's value
+  const isChunked = value => value !== null && typeof value === 'object' && Number.isInteger(value.$chunks);
+  const isLocal = value => value !== null && typeof value === 'object' && value.$local === true;
+
+  const encoder = new TextEncoder();
+
+  // Pending save (see save)
+  let saveChain = Promise.resolve();
+
+  /**
+   * Bytes a sync item counts against the quota (key plus JSON value)
+   * @param {string} key
+   * @param {*} value
+   * @returns {number}
+   */
+  function itemBytes(key, value) {
+    return encoder.encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * @returns {Object} A fresh copy of the default settings
+   */
+  function getDefaults() {
+    return structuredClone(DEFAULTS);
+  }
+
+  /**
+   * Split one setting into sync items: itself if it fits in one item,
+   * otherwise a chunk marker plus `key#0`, `key#1`… holding slices of its JSON
+   * @param {string} key
+   * @param {*} value
+   * @returns {Object<string, *>}
+   */
+  function toItems(key, value) {
+    if (itemBytes(key, value) <= ITEM_BUDGET_BYTES) {
+      return { [key]: value };
+    }
+
+    const json = JSON.stringify(value);
+    const items = {};
+    let count = 0;
+    for (let start = 0; start < json.length; count++) {
+      let end = Math.min(start + CHUNK_CHARS, json.length);
+      // Keep surrogate pairs together
+      const code = json.charCodeAt(end - 1);
+      if (end < json.length && code >= 0xD800 && code <= 0xDBFF) end--;
+      items[`${key}#${count}`] = json.slice(start, end);
+      start = end;
+    }
+    items[key] = { $chunks: count };
+    return items;
+  }
+
+  /**
+   * Lay settings out over sync and local storage. Smaller settings are placed
+   * in sync first, so one huge list cannot push out everything else.
+   * @param {Object} config
+   * @returns {{syncItems: Object, localItems: Object}}
+   */
+  function layout(config) {
+    const syncItems = { [VERSION_KEY]: SCHEMA_VERSION };
+    const localItems = {};
+    let bytes = itemBytes(VERSION_KEY, SCHEMA_VERSION);
+    let count = 1;
+
+    const settings = Object.entries(config)
+      .map(([key, value]) => ({ key, value, size: itemBytes(key, value) }))
+      .sort((a, b) => a.size - b.size);
+
+    for (const { key, value } of settings) {
+      const items = toItems(key, value);
+      const entries = Object.entries(items);
+      const size = entries.reduce((sum, [itemKey, itemValue]) => sum + itemBytes(itemKey, itemValue), 0);
+
+      if (bytes + size <= SYNC_BUDGET_BYTES && count + entries.length <= MAX_SYNC_ITEMS) {
+        Object.assign(syncItems, items);
+        bytes += size;
+        count += entries.length;
+      } else {
+        syncItems[key] = { $local: true };
+        localItems[key] = value;
+        bytes += itemBytes(key, syncItems[key]);
+        count++;
+      }
+    }
+
+    return { syncItems, localItems };
+  }
+
+  /**
+   * Reassemble stored settings (every key present, not merged with defaults)
+   * @param {Object} syncItems - Everything in chrome.storage.sync
+   * @param {Object} overflow - Settings kept in chrome.storage.local
+   * @returns {Object}
+   */
+  function decode(syncItems, overflow) {
+    const config = {};
+    for (const [key, value] of Object.entries(syncItems)) {
+      if (key === VERSION_KEY || key.includes('#')) continue;
+
+      if (isLocal(value)) {
+        // Missing on a device that never stored it: the default applies there
+        if (key in overflow) config[key] = overflow[key];
+      } else if (isChunked(value)) {
+        const parts = [];
+        for (let i = 0; i < value.$chunks; i++) {
+          parts.push(syncItems[`${key}#${i}`]);
+        }
+        // Chunks can arrive from another device one sync at a time
+        if (parts.some(part => typeof part !== 'string')) continue;
+        try {
+          config[key] = JSON.parse(parts.join(''));
+        } catch {
+          // Incomplete or mixed chunks, keep the default
+        }
+      } else {
+        config[key] = value;
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Read both storage areas
+   * @returns {Promise<{syncItems: Object, overflow: Object}>}
+   */
+  async function readRaw() {
+    const [syncItems, local] = await Promise.all([
+      chrome.storage.sync.get(null),
+      chrome.storage.local.get({ [OVERFLOW_KEY]: {} })
+    ]);
+    return { syncItems, overflow: local[OVERFLOW_KEY] || {} };
+  }
+
+  /**
+   * Load the settings, merged with defaults. Unknown keys are dropped.
+   * @returns {Promise<Object>}
+   */
+  async function load() {
+    const { syncItems, overflow } = await readRaw();
+    const stored = decode(syncItems, overflow);
+    const config = getDefaults();
+    for (const key of Object.keys(DEFAULTS)) {
+      if (key in stored) config[key] = stored[key];
+    }
+    return config;
+  }
+
+  /**
+   * Store a full set of settings in the quota-safe layout, writing only
+   * items that changed and removing ones no longer used. New items are
+   * written before old ones are removed, so a failed write (quota, rate
+   * limit) leaves the previous settings readable.
+   * @param {Object} config
+   * @param {Object} syncItems - Current contents of chrome.storage.sync
+   * @param {Object} overflow - Current settings kept in chrome.storage.local
+   */
+  async function write(config, syncItems, overflow) {
+    const layoutItems = layout(config);
+
+    const stale = Object.keys(syncItems).filter(key => !(key in layoutItems.syncItems));
+    const changed = {};
+    for (const [key, value] of Object.entries(layoutItems.syncItems)) {
+      if (JSON.stringify(syncItems[key]) !== JSON.stringify(value)) changed[key] = value;
+    }
+
+    // Settings moving to local storage must be there before sync points to them
+    const hasLocal = Object.keys(layoutItems.localItems).length > 0;
+    if (hasLocal) {
+      await chrome.storage.local.set({ [OVERFLOW_KEY]: { ...overflow, ...layoutItems.localItems } });
+    }
+    if (Object.keys(changed).length > 0) await chrome.storage.sync.set(changed);
+    if (stale.length > 0) await chrome.storage.sync.remove(stale);
+
+    if (hasLocal) {
+      // Drop settings that moved back to sync
+      if (Object.keys(overflow).some(key => !(key in layoutItems.localItems))) {
+        await chrome.storage.local.set({ [OVERFLOW_KEY]: layoutItems.localItems });
+      }
+    } else {
+      await chrome.storage.local.remove(OVERFLOW_KEY);
+    }
+  }
+
+  /**
+   * Save changed settings on top of the stored ones. Saves from one page run
+   * one after another, so quick successive changes don't overwrite each other.
+   * @param {Object} changes - Setting keys to write
+   * @returns {Promise<void>}
+   */
+  function save(changes) {
+    const run = saveChain.then(async () => {
+      const { syncItems, overflow } = await readRaw();
+      await write({ ...decode(syncItems, overflow), ...changes }, syncItems, overflow);
+    });
+    saveChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run the migration steps after `fromVersion` on a set of settings
+   * @param {Object} config - Settings stored (or exported) under fromVersion
+   * @param {number} fromVersion
+   * @returns {Object} Settings for SCHEMA_VERSION
+   */
+  function upgrade(config, fromVersion) {
+    let result = { ...config };
+    for (const step of MIGRATIONS) {
+      if (step.version > fromVersion) result = step.migrate(result);
+    }
+    return result;
+  }
+
+  /**
+   * Bring stored settings up to the current schema (on install or update).
+   * Settings written by a newer version are left alone.
+   * @returns {Promise<boolean>} Whether anything was migrated
+   */
+  async function migrate() {
+    const { syncItems, overflow } = await readRaw();
+    // Version 1 had no version key
+    const fromVersion = Number.isInteger(syncItems[VERSION_KEY]) ? syncItems[VERSION_KEY] : 1;
+    if (fromVersion >= SCHEMA_VERSION) return false;
+
+    await write(upgrade(decode(syncItems, overflow), fromVersion), syncItems, overflow);
+    return true;
+  }
+
+  /**
+   * Listen for settings changes made anywhere (popup, options page, other devices)
+   * @param {Function} callback - Called without arguments
+   */
+  function onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' || (areaName === 'local' && OVERFLOW_KEY in changes)) {
+        callback();
+      }
+    });
+  }
+
+  return {
+    SCHEMA_VERSION,
+    getDefaults,
+    load,
+    save,
+    upgrade,
+    migrate,
+    onChanged
+  };
+})();
+
+// Make available in different contexts
+if (typeof globalThis !== 'undefined') {
+  globalThis.ConfigStore = ConfigStore;
+}
@@ -0,0 +1,80 @@
+/**
+ * Highlight Style - Shared mapping from config to highlight CSS
+ * Each effect (text color, background tint, underline, strikethrough, dimming,
+ * ✓ marker) is switched on by a class on the link; colors and amounts come
+ * from CSS custom properties, so effects combine freely.
+ */
+
+const HighlightStyle = (() => {
+  const UNDERLINE_STYLES = ['solid', 'dotted', 'dashed', 'wavy', 'double'];
+
+  // Config flag -> class added next to vlh-visited
+  const EFFECTS = [
+    { key: 'styleTextColor', className: 'vlh-style-color', label: 'Text color' },
+    { key: 'styleBackground', className: 'vlh-style-background', label: 'Background' },
+    { key: 'styleUnderline', className: 'vlh-style-underline', label: 'Underline' },
+    { key: 'styleStrikethrough', className: 'vlh-style-strike', label: 'Strikethrough' },
+    { key: 'styleDim', className: 'vlh-style-dim', label: 'Dim' },
+    { key: 'styleMarker', className: 'vlh-style-marker', label: '✓ Marker' }
+  ];
+
+  const ALL_CLASSES = EFFECTS.map(effect => effect.className);
+
+  /**
+   * Get the effect classes enabled by a config
+   * @param {Object} config
+   * @returns {string[]}
+   */
+  function getClasses(config) {
+    return EFFECTS
+      // Text color predates the other effects and stays on unless turned off
+      .filter(({ key }) => key === 'styleTextColor' ? config[key] !== false : !!config[key])
+      .map(effect => effect.className);
+  }
+
+  /**
+   * Get the CSS custom properties for a config
+   * @param {Object} config
+   * @returns {Object<string, string>} Property name -> value
+   */
+  function getVariables(config) {
+    const underlineStyle = UNDERLINE_STYLES.includes(config.underlineStyle) ? config.underlineStyle : 'solid';
+    const dimOpacity = Number(config.dimOpacity);
+
+    return {
+      '--vlh-text-color': config.highlightTextColor || '#C58AF9',
+      '--vlh-color-today': config.tierTodayColor || '#FF8A65',
+      '--vlh-color-week': config.tierWeekColor || '#C58AF9',
+      '--vlh-color-older': config.tierOlderColor || '#9AA0A6',
+      '--vlh-background-color': config.highlightBackgroundColor || '#C58AF9',
+      '--vlh-underline-style': underlineStyle,
+      '--vlh-underline-color': config.underlineColor || '#C58AF9',
+      '--vlh-dim-opacity': String(dimOpacity >= 0.1 && dimOpacity <= 1 ? dimOpacity : 0.55)
+    };
+  }
+
+  /**
+   * Set the custom properties on an element (e.g. document.documentElement)
+   * @param {HTMLElement} el
+   * @param {Object} config
+   */
+  function applyVariables(el, config) {
+    for (const [name, value] of Object.entries(getVariables(config))) {
+      el.style.setProperty(name, value);
+    }
+  }
+
+  return {
+    UNDERLINE_STYLES,
+    EFFECTS,
+    ALL_CLASSES,
+    getClasses,
+    getVariables,
+    applyVariables
+  };
+})();
+
+// Make available in different contexts
+if (typeof globalThis !== 'undefined') {
+  globalThis.HighlightStyle = HighlightStyle;
+}
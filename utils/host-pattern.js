@@ -0,0 +1,91 @@
+/**
+ * Host Pattern - Shared utility for hostname-scoped rules
+ * Patterns are an exact host ("example.com"), a wildcard domain
+ * ("*.example.com", which also matches the bare domain) or "*" for all hosts.
+ */
+
+const HostPattern = (() => {
+  const GLOBAL = '*';
+  const WILDCARD_PREFIX = '*.';
+  const HOST_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+  /**
+   * Canonicalize a user-entered pattern (trim, lowercase, strip scheme/path)
+   * @param {string} pattern
+   * @returns {string}
+   */
+  function normalize(pattern) {
+    return String(pattern || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/:?#].*$/, '')
+      .replace(/\.$/, '');
+  }
+
+  /**
+   * Check whether a (normalized) pattern is well-formed
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  function isValid(pattern) {
+    if (pattern === GLOBAL) return true;
+    const host = pattern.startsWith(WILDCARD_PREFIX) ? pattern.slice(WILDCARD_PREFIX.length) : pattern;
+    return HOST_RE.test(host);
+  }
+
+  /**
+   * Check whether a hostname is covered by a pattern
+   * @param {string} hostname - Hostname from a URL
+   * @param {string} pattern - Host pattern
+   * @returns {boolean}
+   */
+  function matches(hostname, pattern) {
+    if (!hostname) return false;
+    const host = hostname.toLowerCase();
+    const p = normalize(pattern);
+
+    if (p === GLOBAL) return true;
+    if (p.startsWith(WILDCARD_PREFIX)) {
+      const base = p.slice(WILDCARD_PREFIX.length);
+      return host === base || host.endsWith('.' + base);
+    }
+    return host === p;
+  }
+
+  /**
+   * Check whether a hostname is covered by any pattern in a list
+   * @param {string} hostname
+   * @param {string[]} patterns
+   * @returns {boolean}
+   */
+  function matchesAny(hostname, patterns = []) {
+    return patterns.some(pattern => matches(hostname, pattern));
+  }
+
+  /**
+   * Decide whether the extension is active on a host given the site list mode
+   * @param {string} hostname
+   * @param {string} mode - 'block' (active except listed hosts) or 'allow' (only listed hosts)
+   * @param {string[]} patterns - Site list host patterns
+   * @returns {boolean}
+   */
+  function isSiteEnabled(hostname, mode, patterns = []) {
+    const listed = matchesAny(hostname, patterns);
+    return mode === 'allow' ? listed : !listed;
+  }
+
+  return {
+    GLOBAL,
+    normalize,
+    isValid,
+    matches,
+    matchesAny,
+    isSiteEnabled
+  };
+})();
+
+// Make available in different contexts
+if (typeof globalThis !== 'undefined') {
+  globalThis.HostPattern = HostPattern;
+}
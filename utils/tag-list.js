@@ -0,0 +1,55 @@
+/**
+ * Tag List - Shared UI helpers for the rule editors
+ * Used by both the popup and the options page
+ */
+
+const TagList = (() => {
+  /**
+   * Render a list of tags with remove buttons
+   * @param {Element} container - Tags container
+   * @param {Element} hint - Empty-state hint inside the container
+   * @param {string[]} labels - Tag labels to render
+   * @param {Function} onRemove - Called with the index of the tag to remove
+   */
+  function render(container, hint, labels, onRemove) {
+    // Remove existing tags (keep empty hint)
+    container.querySelectorAll('.tag').forEach(tag => tag.remove());
+
+    hint.style.display = labels.length === 0 ? 'block' : 'none';
+
+    labels.forEach((label, index) => {
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = label;
+
+      const remove = document.createElement('button');
+      remove.className = 'tag-remove';
+      remove.title = 'Remove';
+      remove.textContent = '×';
+      remove.addEventListener('click', () => onRemove(index));
+
+      tag.appendChild(remove);
+      container.appendChild(tag);
+    });
+  }
+
+  /**
+   * Split raw input into parameter patterns (comma/space separated).
+   * Regex literals like /a{1,2}/ are kept whole.
+   * @param {string} raw
+   * @returns {string[]}
+   */
+  function parseInput(raw) {
+    return raw.match(/\/(?:\\.|[^/])+\/[a-z]*|[^,，\s]+/g) || [];
+  }
+
+  return {
+    render,
+    parseInput
+  };
+})();
+
+// Make available to the popup and options page
+if (typeof globalThis !== 'undefined') {
+  globalThis.TagList = TagList;
+}
@@ -5,34 +5,301 @@
 
 const UrlNormalizer = (() => {
   const VALID_PROTOCOLS = ['http:', 'https:'];
+  const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+  // Built-in tracking parameter presets, toggled by id in config.ignorePresets
+  const PARAM_PRESETS = [
+    { id: 'utm', label: 'UTM', params: ['utm_*'] },
+    { id: 'click-ids', label: 'Click IDs', params: ['fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'twclid', 'ttclid', 'yclid', 'li_fat_id'] },
+    { id: 'google-analytics', label: 'Google Analytics', params: ['_ga', '_gl'] },
+    { id: 'mailchimp', label: 'Mailchimp', params: ['mc_cid', 'mc_eid'] },
+    { id: 'hubspot', label: 'HubSpot', params: ['_hsenc', '_hsmi', '__hssc', '__hstc', '__hsfp', 'hsctatracking'] },
+    { id: 'marketo', label: 'Marketo', params: ['mkt_tok'] },
+    { id: 'instagram', label: 'Instagram', params: ['igshid', 'igsh'] }
+  ];
+
+  const MAX_UNWRAP_DEPTH = 3;
+
+  // Built-in redirect wrappers: links on these hosts/paths carry the real
+  // destination in one of the listed query parameters
+  const REDIRECT_WRAPPERS = [
+    { host: '*.google.com', path: '/url', params: ['q', 'url'] },
+    { host: 'l.facebook.com', path: '/l.php', params: ['u'] },
+    { host: 'lm.facebook.com', path: '/l.php', params: ['u'] },
+    { host: 'l.instagram.com', path: '/', params: ['u'] },
+    { host: 'out.reddit.com', path: '/*', params: ['url'] },
+    { host: '*.youtube.com', path: '/redirect', params: ['q'] },
+    { host: 'duckduckgo.com', path: '/l/', params: ['uddg'] },
+    { host: '*.safelinks.protection.outlook.com', path: '/', params: ['url'] },
+    { host: 'slack-redir.net', path: '/link', params: ['url'] },
+    { host: 'steamcommunity.com', path: '/linkfilter/', params: ['url', 'u'] },
+    { host: 'vk.com', path: '/away.php', params: ['to'] }
+  ];
+
+  const DEFAULT_DOCUMENT_RE = /\/(index|default)\.(html?|php|aspx?|shtml|jsp)$/i;
+
+  // Compiled matchers, cached per ignore-parameter array
+  const matcherCache = new WeakMap();
+
+  // Compiled path rewrite rules, cached per rule array
+  const rewriteCache = new WeakMap();
+
+  /**
+   * Turn a single pattern into a case-insensitive RegExp, or null for exact names.
+   * Supports wildcards (`utm_*`, `?`) and regex literals (`/^ga_/`).
+   * @param {string} pattern
+   * @returns {RegExp|null}
+   * @throws {SyntaxError} If a regex literal is invalid
+   */
+  function compileParamPattern(pattern) {
+    const regexMatch = pattern.match(REGEX_PATTERN);
+    if (regexMatch) {
+      // Stateful flags would make repeated .test() calls unreliable
+      const flags = regexMatch[2].replace(/[gyi]/g, '') + 'i';
+      return new RegExp(regexMatch[1], flags);
+    }
+
+    if (/[*?]/.test(pattern)) {
+      const source = Array.from(pattern, (ch) => {
+        if (ch === '*') return '.*';
+        if (ch === '?') return '.';
+        return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }).join('');
+      return new RegExp(`^${source}$`, 'i');
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an ignore-parameter pattern can be compiled
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  function isValidParamPattern(pattern) {
+    try {
+      compileParamPattern(String(pattern).trim());
+      return String(pattern).trim().length > 0;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Build (or reuse) a predicate matching parameter names against patterns.
+   * Invalid regex patterns are skipped.
+   * @param {string[]} patterns - Exact names, wildcards or regex literals
+   * @returns {Function} (key) => boolean
+   */
+  function getParamMatcher(patterns) {
+    if (matcherCache.has(patterns)) return matcherCache.get(patterns);
+
+    const exact = new Set();
+    const regexes = [];
+    for (const raw of patterns) {
+      const pattern = String(raw).trim();
+      if (!pattern) continue;
+      try {
+        const regex = compileParamPattern(pattern);
+        if (regex) {
+          regexes.push(regex);
+        } else {
+          exact.add(pattern.toLowerCase());
+        }
+      } catch (e) {
+        // Invalid regex, ignore
+      }
+    }
+
+    const matcher = (key) => exact.has(key.toLowerCase()) || regexes.some(re => re.test(key));
+    matcherCache.set(patterns, matcher);
+    return matcher;
+  }
+
+  /**
+   * Check whether a string compiles as a regular expression
+   * @param {string} source
+   * @returns {boolean}
+   */
+  function isValidRegex(source) {
+    try {
+      new RegExp(source);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Compile (or reuse) path rewrite rules, skipping invalid regexes
+   * @param {Array<{host: string, pattern: string, replacement: string}>} rules
+   * @returns {Array<{host: string, pattern: string, regex: RegExp, replacement: string}>}
+   */
+  function getPathRewrites(rules) {
+    if (rewriteCache.has(rules)) return rewriteCache.get(rules);
+
+    const compiled = [];
+    for (const rule of rules) {
+      if (!rule?.pattern || !isValidRegex(rule.pattern)) continue;
+      compiled.push({
+        host: rule.host || HostPattern.GLOBAL,
+        pattern: rule.pattern,
+        regex: new RegExp(rule.pattern),
+        replacement: rule.replacement || ''
+      });
+    }
+
+    rewriteCache.set(rules, compiled);
+    return compiled;
+  }
+
+  /**
+   * Record a normalization step for explainUrl, if it changed the URL
+   * @param {Array<{label: string, url: string, detail: string}>|null} trace - Steps so far, or null when not tracing
+   * @param {string} label
+   * @param {URL} urlObj - URL after the step
+   * @param {string} detail - What the step did (rule, removed keys, ...)
+   */
+  function traceStep(trace, label, urlObj, detail = '') {
+    if (!trace) return;
+    const url = urlObj.toString();
+    if (trace.length > 0 && trace[trace.length - 1].url === url) return;
+    trace.push({ label, url, detail });
+  }
+
+  /**
+   * Apply canonicalization rules to a parsed URL in place.
+   * Order: host aliases, www, scheme, default document, path rewrites, trailing slash.
+   * @param {URL} urlObj
+   * @param {Object} canonical
+   * @param {Object<string, string>} canonical.hostAliases - Host pattern -> canonical host (first match wins)
+   * @param {boolean} canonical.foldWww - Strip a leading "www."
+   * @param {boolean} canonical.foldScheme - Treat http:// as https://
+   * @param {boolean} canonical.foldDefaultDocument - Treat /index.html etc. as /
+   * @param {Array<Object>} canonical.pathRewrites - Regex path rewrites (see getPathRewrites)
+   * @param {boolean} canonical.foldTrailingSlash - Treat /post/1/ as /post/1
+   * @param {Array<Object>|null} trace - Step list to record into (see traceStep)
+   */
+  function canonicalize(urlObj, canonical, trace = null) {
+    for (const [pattern, target] of Object.entries(canonical.hostAliases || {})) {
+      if (HostPattern.matches(urlObj.hostname, pattern)) {
+        urlObj.hostname = target;
+        traceStep(trace, 'Host alias', urlObj, `${pattern} → ${target}`);
+        break;
+      }
+    }
+
+    if (canonical.foldWww && urlObj.hostname.startsWith('www.')) {
+      urlObj.hostname = urlObj.hostname.slice(4);
+      traceStep(trace, 'Ignore www.', urlObj);
+    }
+
+    if (canonical.foldScheme && urlObj.protocol === 'http:') {
+      urlObj.protocol = 'https:';
+      traceStep(trace, 'Ignore http / https', urlObj);
+    }
+
+    if (canonical.foldDefaultDocument) {
+      urlObj.pathname = urlObj.pathname.replace(DEFAULT_DOCUMENT_RE, '/');
+      traceStep(trace, 'Ignore default document', urlObj);
+    }
+
+    for (const rule of getPathRewrites(canonical.pathRewrites || [])) {
+      if (HostPattern.matches(urlObj.hostname, rule.host)) {
+        urlObj.pathname = urlObj.pathname.replace(rule.regex, rule.replacement);
+        traceStep(trace, 'Path rewrite', urlObj, `${rule.host}: ${rule.pattern} → ${rule.replacement || '(empty)'}`);
+      }
+    }
+
+    if (canonical.foldTrailingSlash && urlObj.pathname.length > 1) {
+      urlObj.pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+      traceStep(trace, 'Ignore trailing slash', urlObj);
+    }
+  }
+
+  /**
+   * Check whether a wrapper entry applies to a parsed URL.
+   * A path ending in "*" matches as a prefix, otherwise exactly.
+   * @param {URL} urlObj
+   * @param {{host: string, path: string}} wrapper
+   * @returns {boolean}
+   */
+  function matchesWrapper(urlObj, wrapper) {
+    if (!HostPattern.matches(urlObj.hostname, wrapper.host)) return false;
+    const path = wrapper.path || '/*';
+    return path.endsWith('*')
+      ? urlObj.pathname.startsWith(path.slice(0, -1))
+      : urlObj.pathname === path;
+  }
+
+  /**
+   * Replace redirect-wrapper links (google.com/url?q=…, l.facebook.com/l.php?u=…)
+   * with their destination, following nested wrappers a few levels deep
+   * @param {string} url - Original URL string
+   * @param {Array<{host: string, path: string, params: string[]}>} wrappers - Wrapper table
+   * @returns {string} Destination URL, or the original if it is not a wrapper
+   */
+  function unwrapUrl(url, wrappers = REDIRECT_WRAPPERS) {
+    let current = url;
+
+    for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+      let urlObj;
+      try {
+        urlObj = new URL(current);
+      } catch (e) {
+        return current;
+      }
+
+      const wrapper = wrappers.find(w => matchesWrapper(urlObj, w));
+      if (!wrapper) return current;
+
+      const target = (wrapper.params || [])
+        .map(param => urlObj.searchParams.get(param))
+        .find(value => value && isValidHttpUrl(value));
+      if (!target) return current;
+
+      current = target;
+    }
+
+    return current;
+  }
 
   /**
-   * Normalize a URL by removing specified query parameters and sorting remaining ones
+   * Normalize a URL: canonicalize it, remove specified query parameters and sort remaining ones
    * @param {string} url - Original URL string
-   * @param {string[]} ignoreParams - List of query parameter names to ignore
+   * @param {string[]} ignoreParams - Parameter names or patterns to ignore (see getParamMatcher)
    * @param {boolean} ignoreHash - Whether to strip the hash/fragment from the URL
+   * @param {Object|null} canonical - Canonicalization options (see canonicalize), or null to skip
+   * @param {Array<Object>|null} trace - Step list to record into (see traceStep)
    * @returns {string} Normalized URL string; returns original string if URL is invalid
    */
-  function normalizeUrl(url, ignoreParams = [], ignoreHash = true) {
+  function normalizeUrl(url, ignoreParams = [], ignoreHash = true, canonical = null, trace = null) {
     try {
       const urlObj = new URL(url);
 
       if (!VALID_PROTOCOLS.includes(urlObj.protocol)) {
         return url;
       }
+      traceStep(trace, 'Parse URL', urlObj, 'Lowercase host, default port, percent-encoding');
+
+      if (canonical) {
+        canonicalize(urlObj, canonical, trace);
+      }
 
       if (ignoreParams.length > 0) {
-        const ignoreSet = new Set(ignoreParams.map(p => p.toLowerCase()));
+        const isIgnored = getParamMatcher(ignoreParams);
         const keysToDelete = [];
         for (const key of urlObj.searchParams.keys()) {
-          if (ignoreSet.has(key.toLowerCase())) {
+          if (isIgnored(key)) {
             keysToDelete.push(key);
           }
         }
         keysToDelete.forEach(key => urlObj.searchParams.delete(key));
+        traceStep(trace, 'Remove ignored parameters', urlObj, [...new Set(keysToDelete)].join(', '));
       }
 
       urlObj.searchParams.sort();
+      traceStep(trace, 'Sort parameters', urlObj);
 
       // Remove hash/fragment if ignoreHash is enabled
       if (ignoreHash) {
@@ -41,6 +308,7 @@ const UrlNormalizer = (() => {
         // Remove trailing empty hash
         urlObj.hash = '';
       }
+      traceStep(trace, 'Remove hash', urlObj, ignoreHash ? 'Ignore hash is on' : 'Empty hash');
 
       return urlObj.toString();
     } catch (e) {
@@ -48,6 +316,140 @@ const UrlNormalizer = (() => {
     }
   }
 
+  /**
+   * Collect the ignore parameters that apply to a host: enabled presets, the
+   * global list and every site rule whose host pattern matches (see HostPattern)
+   * @param {string} hostname - Hostname of the URL being normalized
+   * @param {string[]} ignoreParams - Global ignore parameters
+   * @param {Object<string, string[]>} siteIgnoreParams - Host pattern -> ignore parameters
+   * @param {string[]} presetIds - Enabled PARAM_PRESETS ids
+   * @returns {string[]} Combined parameter list
+   */
+  function resolveIgnoreParams(hostname, ignoreParams = [], siteIgnoreParams = {}, presetIds = []) {
+    const params = [];
+    for (const preset of PARAM_PRESETS) {
+      if (presetIds.includes(preset.id)) {
+        params.push(...preset.params);
+      }
+    }
+    params.push(...ignoreParams);
+    for (const [pattern, siteParams] of Object.entries(siteIgnoreParams)) {
+      if (HostPattern.matches(hostname, pattern)) {
+        params.push(...siteParams);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Pick the canonicalization options out of a configuration
+   * @param {Object} config
+   * @returns {Object} Options for canonicalize
+   */
+  function getCanonicalOptions(config) {
+    return {
+      hostAliases: config.hostAliases || {},
+      foldWww: !!config.foldWww,
+      foldScheme: !!config.foldScheme,
+      foldDefaultDocument: !!config.foldDefaultDocument,
+      pathRewrites: config.pathRewrites || [],
+      foldTrailingSlash: !!config.foldTrailingSlash
+    };
+  }
+
+  /**
+   * Assemble the redirect wrapper table for a configuration
+   * @param {Object} config
+   * @returns {Array<Object>} Built-in wrappers (if enabled) followed by user entries
+   */
+  function getRedirectWrappers(config) {
+    const builtIn = config.unwrapRedirects !== false ? REDIRECT_WRAPPERS : [];
+    return [...builtIn, ...(config.redirectWrappers || [])];
+  }
+
+  /**
+   * Build the URL normalization function for a configuration.
+   * Redirect wrappers are unwrapped first; ignore parameters are then resolved
+   * per destination hostname (presets + global + matching site rules).
+   * @param {Object} config
+   * @returns {Function} (url) => normalized url
+   */
+  function createNormalizer(config) {
+    const ignoreParams = config.ignoreParams || [];
+    const siteIgnoreParams = config.siteIgnoreParams || {};
+    const ignorePresets = config.ignorePresets || [];
+    const ignoreHash = config.ignoreHash !== false;
+    const canonical = getCanonicalOptions(config);
+    const wrappers = getRedirectWrappers(config);
+    const paramsByHost = new Map();
+
+    return (url) => {
+      const target = unwrapUrl(url, wrappers);
+      const hostname = extractDomain(target) || '';
+      if (!paramsByHost.has(hostname)) {
+        paramsByHost.set(hostname, resolveIgnoreParams(hostname, ignoreParams, siteIgnoreParams, ignorePresets));
+      }
+      return normalizeUrl(target, paramsByHost.get(hostname), ignoreHash, canonical);
+    };
+  }
+
+  /**
+   * Normalize a URL the way createNormalizer does, recording every step that
+   * changed it, for diagnosing why a link does (not) match history
+   * @param {string} url
+   * @param {Object} config
+   * @returns {{key: string, steps: Array<{label: string, url: string, detail: string}>, ignoreParams: string[]}}
+   *   Normalized key, steps starting with the original URL, and the ignore parameters in effect
+   */
+  function explainUrl(url, config) {
+    const steps = [{ label: 'Original', url, detail: '' }];
+
+    const target = unwrapUrl(url, getRedirectWrappers(config));
+    if (target !== url) {
+      steps.push({ label: 'Unwrap redirect link', url: target, detail: extractDomain(url) || '' });
+    }
+
+    const hostname = extractDomain(target) || '';
+    const ignoreParams = resolveIgnoreParams(hostname, config.ignoreParams || [],
+      config.siteIgnoreParams || {}, config.ignorePresets || []);
+    const key = normalizeUrl(target, ignoreParams, config.ignoreHash !== false, getCanonicalOptions(config), steps);
+
+    return { key, steps, ignoreParams };
+  }
+
+  /**
+   * Canonicalize a pattern list: matching is order-independent.
+   * Case is kept because regex patterns may depend on it.
+   * @param {string[]} patterns
+   * @returns {string[]}
+   */
+  function sortedUnique(patterns) {
+    return Array.from(new Set(patterns || [])).sort();
+  }
+
+  /**
+   * Describe every setting createNormalizer depends on, canonicalized so
+   * equivalent configurations compare equal (e.g. to avoid index rebuilds)
+   * @param {Object} config
+   * @returns {string}
+   */
+  function getConfigSignature(config) {
+    const siteIgnoreParams = {};
+    for (const pattern of Object.keys(config.siteIgnoreParams || {}).sort()) {
+      const params = sortedUnique(config.siteIgnoreParams[pattern]);
+      if (params.length > 0) siteIgnoreParams[pattern] = params;
+    }
+
+    return JSON.stringify({
+      ignoreParams: sortedUnique(config.ignoreParams),
+      siteIgnoreParams,
+      ignorePresets: sortedUnique(config.ignorePresets),
+      ignoreHash: config.ignoreHash !== false,
+      redirectWrappers: getRedirectWrappers(config),
+      ...getCanonicalOptions(config)
+    });
+  }
+
   /**
    * Extract the domain (hostname) from a URL
    * @param {string} url - Original URL string
@@ -77,7 +479,17 @@ const UrlNormalizer = (() => {
   }
 
   return {
+    PARAM_PRESETS,
+    REDIRECT_WRAPPERS,
     normalizeUrl,
+    unwrapUrl,
+    getRedirectWrappers,
+    createNormalizer,
+    explainUrl,
+    getConfigSignature,
+    isValidParamPattern,
+    isValidRegex,
+    resolveIgnoreParams,
     extractDomain,
     isValidHttpUrl
   };
@@ -0,0 +1,150 @@
+/**
+ * Visit Filter
+ * Narrows what counts as "visited": only visits from the last N days, and
+ * only visits of the chosen transition types (link clicks, typed URLs…).
+ * Used by the background service worker and the options page.
+ */
+
+const VisitFilter = (() => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_DAYS = 3650;
+  // History URLs whose individual visits are kept in memory
+  const MAX_CACHED_URLS = 5000;
+
+  // chrome.history TransitionType values, as offered on the options page
+  const TRANSITIONS = [
+    { id: 'link', label: 'Link clicks' },
+    { id: 'typed', label: 'Typed in the address bar' },
+    { id: 'generated', label: 'Address bar suggestions' },
+    { id: 'auto_bookmark', label: 'Bookmarks' },
+    { id: 'keyword', label: 'Site search keywords' },
+    { id: 'keyword_generated', label: 'Site search results' },
+    { id: 'form_submit', label: 'Form submissions' },
+    { id: 'reload', label: 'Reloads' },
+    { id: 'auto_toplevel', label: 'Start pages and command-line opens' },
+    { id: 'auto_subframe', label: 'Automatic frame loads' },
+    { id: 'manual_subframe', label: 'Frame navigations' }
+  ];
+
+  // History URL -> promise of its visits ({visitTime, transition}), oldest lookups first
+  const visitCache = new Map();
+
+  /**
+   * @param {Object} config
+   * @returns {boolean} Whether any filter narrows the plain history lookup
+   */
+  function isActive(config) {
+    return config.historyDays > 0 || (config.ignoredTransitions || []).length > 0;
+  }
+
+  /**
+   * Earliest visit time that still counts
+   * @param {Object} config
+   * @param {number} [now]
+   * @returns {number} Milliseconds since the epoch (0 without a time window)
+   */
+  function getCutoff(config, now = Date.now()) {
+    return config.historyDays > 0 ? now - config.historyDays * DAY_MS : 0;
+  }
+
+  /**
+   * Get a history URL's individual visits, cached until its history changes
+   * @param {string} url
+   * @returns {Promise<Array<{visitTime: number, transition: string}>>}
+   */
+  function getVisits(url) {
+    if (!visitCache.has(url)) {
+      if (visitCache.size >= MAX_CACHED_URLS) {
+        visitCache.delete(visitCache.keys().next().value);
+      }
+      visitCache.set(url, new Promise((resolve) => {
+        chrome.history.getVisits({ url }, (visits) => {
+          resolve((visits || []).map(({ visitTime, transition }) => ({ visitTime, transition })));
+        });
+      }));
+    }
+    return visitCache.get(url);
+  }
+
+  /**
+   * Forget cached visits (history.onVisited / onVisitRemoved)
+   * @param {string[]} [urls] - History URLs that changed; all when omitted
+   */
+  function invalidate(urls) {
+    if (!urls) {
+      visitCache.clear();
+      return;
+    }
+    for (const url of urls) {
+      visitCache.delete(url);
+    }
+  }
+
+  /**
+   * Recount a key's visits from its history URLs' individual visits,
+   * keeping only those inside the time window with a counted transition
+   * @param {string[]} urls - History URLs that normalize to the key
+   * @param {Object} config
+   * @returns {Promise<{lastVisitTime: number, visitCount: number}|null>} Null when no visit counts
+   */
+  async function countVisits(urls, config) {
+    const cutoff = getCutoff(config);
+    const ignored = new Set(config.ignoredTransitions || []);
+    const result = { lastVisitTime: 0, visitCount: 0 };
+
+    for (const visits of await Promise.all(urls.map(getVisits))) {
+      for (const visit of visits) {
+        if (visit.visitTime < cutoff || ignored.has(visit.transition)) continue;
+        result.lastVisitTime = Math.max(result.lastVisitTime, visit.visitTime);
+        result.visitCount++;
+      }
+    }
+    return result.visitCount > 0 ? result : null;
+  }
+
+  /**
+   * Apply the filters to history index lookups
+   * @param {Map<string, {lastVisitTime: number, visitCount: number, urls: string[]}>} visits - Key -> aggregated entry
+   * @param {Object} config
+   * @returns {Promise<Map<string, {lastVisitTime: number, visitCount: number}>>} Keys with visits that still
+   *   count; visitCount is 0 (unknown) when only the time window applies
+   */
+  async function apply(visits, config) {
+    if (!isActive(config)) {
+      return new Map(Array.from(visits, ([key, { lastVisitTime, visitCount }]) => [key, { lastVisitTime, visitCount }]));
+    }
+
+    const cutoff = getCutoff(config);
+    const filtered = new Map();
+
+    // A time window alone is decided by the index's last visit time. Its
+    // visit count covers all time, so it is left out rather than shown
+    if ((config.ignoredTransitions || []).length === 0) {
+      for (const [key, { lastVisitTime }] of visits) {
+        if (lastVisitTime >= cutoff) filtered.set(key, { lastVisitTime, visitCount: 0 });
+      }
+      return filtered;
+    }
+
+    await Promise.all(Array.from(visits, async ([key, visit]) => {
+      // Last visit before the window: no need to look at single visits
+      if (visit.lastVisitTime < cutoff) return;
+      const counted = await countVisits(visit.urls, config);
+      if (counted) filtered.set(key, counted);
+    }));
+    return filtered;
+  }
+
+  return {
+    MAX_DAYS,
+    TRANSITIONS,
+    isActive,
+    apply,
+    invalidate
+  };
+})();
+
+// Make available in different contexts
+if (typeof globalThis !== 'undefined') {
+  globalThis.VisitFilter = VisitFilter;
+}